@@ -0,0 +1,172 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { baseNameNoExt } from './util.mjs';
+
+// ---------- Pass/fail gating (--assert, --junit)
+// An assertion is "<path> <op> <number>", checked against the run summary:
+//   overall.upload.p95<8000   errorRate<0.01   perFile[50mb].fail==0
+// Paths are dot-separated keys into the summary. [name] picks rows of a
+// per-group array by key; "50mb" also matches every file whose name without
+// extension is 50mb, and then all of them have to pass. errorRate is the
+// share of uploads that failed.
+
+const OPS = {
+  '<=': (a, b) => a <= b,
+  '>=': (a, b) => a >= b,
+  '==': (a, b) => a === b,
+  '!=': (a, b) => a !== b,
+  '<': (a, b) => a < b,
+  '>': (a, b) => a > b,
+};
+// 0.16666666666666666 -> 0.1667 in messages
+const show = (v) =>
+  typeof v === 'number' && !Number.isInteger(v) ? +v.toFixed(4) : v;
+// key or key[name]; a name may contain dots (IPs, file names)
+const SEGMENT = /([A-Za-z_$][\w$]*)(?:\[([^\]]+)\])?/g;
+
+export function parseAssertion(text) {
+  const m = /^\s*(.+?)\s*(<=|>=|==|!=|<|>)\s*(-?\d+(?:\.\d+)?)\s*$/.exec(text);
+  const segments = m ? [...m[1].matchAll(SEGMENT)] : [];
+  if (!m || segments.map((s) => s[0]).join('.') !== m[1])
+    throw new Error(
+      `--assert: can't parse "${text}". Use <path> <op> <number>, e.g. overall.upload.p95<8000 (ops: ${Object.keys(
+        OPS
+      ).join(' ')})`
+    );
+  return {
+    text: text.trim(),
+    path: m[1],
+    segments: segments.map(([, key, pick]) => ({ key, pick })),
+    op: m[2],
+    expected: Number(m[3]),
+  };
+}
+
+// Values the path points at, with a label for each (several for [name] picks
+// that match more than one row)
+function resolve(root, segments) {
+  let nodes = [{ label: '', value: root }];
+  for (const { key, pick } of segments) {
+    nodes = nodes.flatMap(({ label, value }) => {
+      const next = value?.[key];
+      const base = label ? `${label}.${key}` : key;
+      if (next === undefined) throw new Error(`${base} is not in the summary`);
+      if (pick === undefined) return [{ label: base, value: next }];
+      if (!Array.isArray(next)) throw new Error(`${base} is not a list`);
+      const exact = next.filter((row) => String(row.key) === pick);
+      const rows = exact.length
+        ? exact
+        : next.filter((row) => baseNameNoExt(String(row.key)) === pick);
+      if (!rows.length) throw new Error(`${base} has no row "${pick}"`);
+      return rows.map((row) => ({ label: `${base}[${row.key}]`, value: row }));
+    });
+  }
+  return nodes;
+}
+
+// -> { text, ok, error, actual, message }; error: the path didn't resolve
+export function checkAssertion(assertion, summary) {
+  const t = summary.overall.totals;
+  const root = { ...summary, errorRate: t.tried ? t.fail / t.tried : 0 };
+  let nodes;
+  try {
+    nodes = resolve(root, assertion.segments);
+  } catch (err) {
+    return {
+      text: assertion.text,
+      ok: false,
+      error: true,
+      message: err.message,
+    };
+  }
+  const bad = nodes.filter(
+    ({ value }) =>
+      typeof value !== 'number' || !OPS[assertion.op](value, assertion.expected)
+  );
+  const actual = nodes
+    .map(({ label, value }) => `${label}=${show(value)}`)
+    .join(', ');
+  return {
+    text: assertion.text,
+    ok: bad.length === 0,
+    error: false,
+    actual,
+    message: bad.length
+      ? `${bad
+          .map(({ label, value }) => `${label}=${show(value)}`)
+          .join(', ')}, expected ${assertion.op} ${assertion.expected}`
+      : null,
+  };
+}
+
+const xml = (s) =>
+  String(s ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+// Two suites: one testcase per assertion, and one per file (fails when any
+// upload of the file failed or was corrupt)
+export function toJUnit(summary, results) {
+  const suite = (name, cases) => {
+    const failures = cases.filter((c) => !c.ok && !c.error).length;
+    const errors = cases.filter((c) => c.error).length;
+    const time = cases.reduce((a, c) => a + (c.time ?? 0), 0);
+    return [
+      `  <testsuite name="${xml(name)}" tests="${
+        cases.length
+      }" failures="${failures}" errors="${errors}" time="${time.toFixed(3)}">`,
+      ...cases.map((c) => {
+        const open = `    <testcase classname="${xml(name)}" name="${xml(
+          c.name
+        )}" time="${(c.time ?? 0).toFixed(3)}"`;
+        if (c.ok && !c.out) return `${open}/>`;
+        return [
+          `${open}>`,
+          c.error
+            ? `      <error message="${xml(c.message)}"/>`
+            : !c.ok
+            ? `      <failure message="${xml(c.message)}"/>`
+            : null,
+          c.out ? `      <system-out>${xml(c.out)}</system-out>` : null,
+          '    </testcase>',
+        ]
+          .filter(Boolean)
+          .join('\n');
+      }),
+      '  </testsuite>',
+    ].join('\n');
+  };
+  const assertionCases = results.map((r) => ({
+    name: r.text,
+    ok: r.ok,
+    error: r.error,
+    message: r.message,
+    out: r.actual,
+  }));
+  const fileCases = summary.perFile.map((s) => ({
+    name: s.key,
+    ok: s.fail === 0,
+    error: false,
+    message: `${s.fail} of ${s.ok + s.fail} uploads failed${
+      s.corrupt ? ` (${s.corrupt} corrupt)` : ''
+    }`,
+    out: `ok=${s.ok} fail=${s.fail} attempts=${s.attempts} duration p50=${s.duration.p50} p95=${s.duration.p95} upload p95=${s.upload.p95} ttfb p95=${s.ttfb.p95}`,
+    time: ((s.duration.avg ?? 0) * s.duration.count) / 1000,
+  }));
+  const run = `run ${summary.runId}`;
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<testsuites name="${xml(run)}">`,
+    suite(`${run} assertions`, assertionCases),
+    suite(`${run} files`, fileCases),
+    '</testsuites>',
+    '',
+  ].join('\n');
+}
+
+export async function writeJUnit(summary, results, outPath) {
+  await fs.mkdir(path.dirname(path.resolve(outPath)), { recursive: true });
+  await fs.writeFile(outPath, toJUnit(summary, results), 'utf8');
+}
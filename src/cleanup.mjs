@@ -0,0 +1,231 @@
+import { fetch } from 'undici';
+import { loadRecords, isUploadRecord } from './report.mjs';
+import { parseCloudinaryUrl } from './signing.mjs';
+import { UsageError } from './util.mjs';
+
+// ---------- Cleanup: delete the assets a run uploaded
+// Uses the delete tokens logged with --return-delete-token, or the Admin API
+// (delete resources by public_id) when API credentials are available.
+// Delete tokens are only valid for 10 minutes after the upload.
+
+const TOKEN_TTL_MS = 10 * 60 * 1000;
+const ADMIN_BATCH = 100; // public_ids per Admin API delete call
+
+// Final uploads that created an asset (ok, and corrupt ones: --verify found
+// them broken, but they are in the cloud all the same), one per public_id,
+// with their cloud and API base
+function collectAssets(records) {
+  let start = null;
+  const byId = new Map();
+  for (const r of records) {
+    if (r.event === 'start') start = r;
+    if (!isUploadRecord(r) || r.final === false) continue;
+    if (r.status !== 'ok' && r.status !== 'corrupt') continue;
+    const publicId = r.cld?.public_id ?? r.publicId;
+    if (!publicId || byId.has(publicId)) continue;
+    byId.set(publicId, {
+      publicId,
+      resourceType: r.cld?.resource_type ?? r.resourceType ?? 'image',
+      deleteToken: r.deleteToken ?? r.cld?.delete_token ?? null,
+      uploadedAt: Date.parse(r.ts),
+      cloudName: start?.cloudName ?? null,
+      apiBase: start?.apiBase ?? null,
+    });
+  }
+  return [...byId.values()];
+}
+
+async function errorMessage(resp) {
+  const body = await resp.json().catch(() => null);
+  return (
+    body?.error?.message ??
+    resp.headers.get('x-cld-error') ??
+    `HTTP ${resp.status}`
+  );
+}
+
+async function deleteByToken(a, apiBase, cloudName) {
+  if (!a.deleteToken)
+    return { ...a, outcome: 'skipped', detail: 'no delete token logged' };
+  const resp = await fetch(`${apiBase}/v1_1/${cloudName}/delete_by_token`, {
+    method: 'POST',
+    body: new URLSearchParams({ token: a.deleteToken }),
+  });
+  if (resp.ok) {
+    await resp.text();
+    return { ...a, outcome: 'deleted' };
+  }
+  const detail = await errorMessage(resp);
+  // Cloudinary only says the token is invalid; age tells expiry apart
+  const expired = Date.now() - a.uploadedAt > TOKEN_TTL_MS;
+  return { ...a, outcome: expired ? 'expired' : 'failed', detail };
+}
+
+async function deleteByAdmin(batch, apiBase, cloudName, creds) {
+  const [{ resourceType }] = batch;
+  const qs = new URLSearchParams();
+  for (const a of batch) qs.append('public_ids[]', a.publicId);
+  const resp = await fetch(
+    `${apiBase}/v1_1/${cloudName}/resources/${resourceType}/upload?${qs}`,
+    {
+      method: 'DELETE',
+      headers: {
+        authorization: `Basic ${Buffer.from(
+          `${creds.apiKey}:${creds.apiSecret}`
+        ).toString('base64')}`,
+      },
+    }
+  );
+  if (!resp.ok) {
+    const detail = await errorMessage(resp);
+    return batch.map((a) => ({ ...a, outcome: 'failed', detail }));
+  }
+  const { deleted = {} } = await resp.json();
+  return batch.map((a) => {
+    const state = deleted[a.publicId];
+    if (state === 'deleted') return { ...a, outcome: 'deleted' };
+    if (state === 'not_found') return { ...a, outcome: 'not_found' };
+    return { ...a, outcome: 'failed', detail: state ?? 'not in response' };
+  });
+}
+
+async function runTasks(tasks, concurrency) {
+  const results = [];
+  let next = 0;
+  const worker = async () => {
+    while (next < tasks.length) {
+      const r = await tasks[next++]();
+      results.push(...(Array.isArray(r) ? r : [r]));
+    }
+  };
+  await Promise.all(
+    Array.from({ length: Math.min(concurrency, tasks.length) }, worker)
+  );
+  return results;
+}
+
+export async function runCleanup(args) {
+  const inputs = args._.slice(1);
+  if (!inputs.length)
+    throw new UsageError('cleanup: pass one or more run-*.ndjson logs.');
+  const assets = collectAssets(await loadRecords(inputs));
+
+  const envCreds = parseCloudinaryUrl(process.env.CLOUDINARY_URL);
+  const apiKey = args['api-key'] ?? envCreds?.apiKey;
+  const apiSecret = args['api-secret'] ?? envCreds?.apiSecret;
+  const via = String(args['via'] ?? (apiKey && apiSecret ? 'admin' : 'token'));
+  if (!['token', 'admin'].includes(via))
+    throw new UsageError(`cleanup: --via must be token or admin, got "${via}"`);
+  if (via === 'admin' && !(apiKey && apiSecret))
+    throw new UsageError(
+      'cleanup: --via admin needs --api-key and --api-secret, or CLOUDINARY_URL.'
+    );
+  const concurrency = Number(args['concurrency'] ?? 4);
+  if (!Number.isInteger(concurrency) || concurrency < 1)
+    throw new UsageError('cleanup: --concurrency must be a positive integer.');
+
+  const target = (a) => ({
+    apiBase: String(
+      args['api-base'] ?? a.apiBase ?? 'https://api.cloudinary.com'
+    ).replace(/\/+$/, ''),
+    cloudName: args['cloud-name'] ?? a.cloudName ?? envCreds?.cloudName,
+  });
+  if (assets.some((a) => !target(a).cloudName))
+    throw new UsageError(
+      'cleanup: no cloud name in the log; pass --cloud-name.'
+    );
+
+  console.log(
+    `Cleanup of ${assets.length} asset(s) from ${inputs.length} log(s) via ${
+      via === 'admin' ? 'Admin API' : 'delete tokens'
+    }${args.dry ? ' (dry run)' : ''}`
+  );
+  if (args.dry) {
+    for (const a of assets)
+      console.log(
+        `  ${a.resourceType}/${a.publicId}${
+          via === 'token' && !a.deleteToken ? '  (no token)' : ''
+        }`
+      );
+    return;
+  }
+
+  let tasks;
+  if (via === 'token') {
+    tasks = assets.map((a) => () => {
+      const { apiBase, cloudName } = target(a);
+      return deleteByToken(a, apiBase, cloudName).catch((err) => ({
+        ...a,
+        outcome: 'failed',
+        detail: err.cause?.code ?? err.message,
+      }));
+    });
+  } else {
+    // One call per cloud + resource type, up to ADMIN_BATCH ids each
+    const groups = new Map();
+    for (const a of assets) {
+      const { apiBase, cloudName } = target(a);
+      const key = `${apiBase} ${cloudName} ${a.resourceType}`;
+      if (!groups.has(key)) groups.set(key, { apiBase, cloudName, list: [] });
+      groups.get(key).list.push(a);
+    }
+    tasks = [];
+    for (const { apiBase, cloudName, list } of groups.values())
+      for (let i = 0; i < list.length; i += ADMIN_BATCH) {
+        const batch = list.slice(i, i + ADMIN_BATCH);
+        tasks.push(() =>
+          deleteByAdmin(batch, apiBase, cloudName, { apiKey, apiSecret }).catch(
+            (err) =>
+              batch.map((a) => ({
+                ...a,
+                outcome: 'failed',
+                detail: err.cause?.code ?? err.message,
+              }))
+          )
+        );
+      }
+  }
+  const results = await runTasks(tasks, concurrency);
+
+  const counts = {};
+  for (const r of results) counts[r.outcome] = (counts[r.outcome] ?? 0) + 1;
+  if (args.format === 'json') {
+    process.stdout.write(
+      JSON.stringify(
+        {
+          via,
+          counts,
+          results: results.map(
+            ({ publicId, resourceType, outcome, detail }) => ({
+              publicId,
+              resourceType,
+              outcome,
+              detail: detail ?? null,
+            })
+          ),
+        },
+        null,
+        2
+      ) + '\n'
+    );
+    return;
+  }
+  for (const r of results)
+    if (r.outcome !== 'deleted')
+      console.log(
+        `  ${r.outcome.padEnd(9)} ${r.resourceType}/${r.publicId}${
+          r.detail ? `  ${r.detail}` : ''
+        }`
+      );
+  console.log(
+    `Deleted: ${counts.deleted ?? 0}  Expired: ${
+      counts.expired ?? 0
+    }  Not found: ${counts.not_found ?? 0}  Skipped: ${
+      counts.skipped ?? 0
+    }  Failed: ${counts.failed ?? 0}`
+  );
+  if (counts.expired)
+    console.log(
+      'Delete tokens are valid for 10 minutes; use --via admin with API credentials for older runs.'
+    );
+}
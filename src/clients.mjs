@@ -0,0 +1,94 @@
+import { randomBytes, randomUUID } from 'node:crypto';
+
+// ---------- Client request shapes (--client-profile)
+// What an upload looks like on the wire depends on the client that sends it:
+// request headers, the multipart boundary, the order of the form fields and
+// the headers inside each part, and whether large files go up in chunks.
+// Each profile reproduces one client's shape, so a failure can be pinned on
+// the request rather than the network. Only the shape is emulated: browsers'
+// CORS preflights and cookies are not sent.
+
+const ALNUM = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
+const randomChars = (n, chars) =>
+  [...randomBytes(n)].map((b) => chars[b % chars.length]).join('');
+
+const CHROME_UA =
+  'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/129.0.0.0 Safari/537.36';
+// Headers Chrome adds to a cross-origin fetch or XHR
+const chromeHeaders = (origin, site) => ({
+  'sec-ch-ua':
+    '"Google Chrome";v="129", "Not=A?Brand";v="8", "Chromium";v="129"',
+  'sec-ch-ua-mobile': '?0',
+  'sec-ch-ua-platform': '"macOS"',
+  'user-agent': CHROME_UA,
+  accept: '*/*',
+  origin,
+  'sec-fetch-site': site,
+  'sec-fetch-mode': 'cors',
+  'sec-fetch-dest': 'empty',
+  referer: `${origin}/`,
+  'accept-encoding': 'gzip, deflate, br',
+  'accept-language': 'en-US,en;q=0.9',
+});
+// Chrome's FormData boundary
+const webkitBoundary = () => `----WebKitFormBoundary${randomChars(16, ALNUM)}`;
+
+// headers: request headers (before Content-Type/Length and the chunk headers)
+// fields: extra form fields the client always sends (signed like the others)
+// boundary(): a new multipart boundary
+// fileFirst: the file part comes before the other fields
+// lowerCaseHeaders: part header names in lower case
+// partLength: every part has a Content-Length header
+// chunkSize: default for --chunk-size (0 = whole file)
+export const CLIENT_PROFILES = {
+  // This tool's own shape
+  script: {
+    headers: { 'x-cld-upload-source': 'browserish-script' },
+    boundary: () => `----cldtests${randomBytes(12).toString('hex')}`,
+    chunkSize: 0,
+  },
+  // fetch() + FormData in React Native on Android: OkHttp's MultipartBody
+  'rn-android': {
+    headers: { 'user-agent': 'okhttp/4.9.2', 'accept-encoding': 'gzip' },
+    boundary: randomUUID,
+    fileFirst: true,
+    partLength: true,
+    chunkSize: 0,
+  },
+  // fetch() + FormData in React Native on iOS: RCTNetworking on NSURLSession
+  'rn-ios': {
+    headers: {
+      accept: '*/*',
+      'accept-language': 'en-US,en;q=0.9',
+      'user-agent': 'RNUploadTests/1 CFNetwork/1496.0.7 Darwin/23.5.0',
+      'accept-encoding': 'gzip, deflate, br',
+    },
+    boundary: () =>
+      randomChars(
+        70,
+        '-_1234567890abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ'
+      ),
+    fileFirst: true,
+    lowerCaseHeaders: true,
+    chunkSize: 0,
+  },
+  // fetch() + FormData from a web page, as in Cloudinary's browser examples
+  chrome: {
+    headers: chromeHeaders('https://app.example.com', 'cross-site'),
+    boundary: webkitBoundary,
+    fileFirst: true,
+    chunkSize: 0,
+  },
+  // The Upload Widget's XHR uploads from its iframe, 20 MB chunks
+  'upload-widget': {
+    headers: {
+      ...chromeHeaders('https://upload-widget.cloudinary.com', 'same-site'),
+      'x-requested-with': 'XMLHttpRequest',
+    },
+    fields: { source: 'uw' },
+    boundary: webkitBoundary,
+    chunkSize: 20_000_000,
+  },
+};
+
+export const CLIENT_PROFILE_NAMES = Object.keys(CLIENT_PROFILES);
@@ -0,0 +1,239 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { summarize } from './stats.mjs';
+import { loadRecords, isUploadRecord, dropRedone } from './report.mjs';
+import { UsageError } from './util.mjs';
+
+// ---------- Run-to-run comparison (A/B diff)
+
+const METRICS = [
+  ['duration', (r) => r.durationMs],
+  ['upload', (r) => r.timings?.uploadMs],
+  ['ttfb', (r) => r.timings?.ttfbMs],
+  ['connect', (r) => r.timings?.connectMs],
+];
+const PCTS = ['p50', 'p95'];
+const FORMATS = ['text', 'json'];
+
+// Raw samples per scope ('overall' and each file) from final upload records
+function samplesFromRecords(records) {
+  const scopes = new Map();
+  const scope = (key) => {
+    if (!scopes.has(key))
+      scopes.set(key, Object.fromEntries(METRICS.map(([m]) => [m, []])));
+    return scopes.get(key);
+  };
+  for (const r of dropRedone(records)) {
+    if (!isUploadRecord(r) || r.final === false) continue;
+    for (const [m, get] of METRICS) {
+      const v = get(r);
+      if (!Number.isFinite(v)) continue;
+      scope('overall')[m].push(v);
+      scope(r.file)[m].push(v);
+    }
+  }
+  return scopes;
+}
+
+// A run is either a run-*.ndjson log or a run-*-summary.json. For summaries
+// the sibling log is used when present, since significance needs raw samples.
+async function loadRun(p) {
+  let records = null;
+  let summary = null;
+  if (p.endsWith('.ndjson')) {
+    records = await loadRecords([p]);
+  } else {
+    const text = await fs.readFile(p, 'utf8').catch((err) => {
+      throw err.code === 'ENOENT' ? new UsageError(`${p}: not found`) : err;
+    });
+    summary = JSON.parse(text);
+    const log = path.join(
+      path.dirname(p),
+      path.basename(p).replace(/-summary\.json$/, '.ndjson')
+    );
+    if (log !== p && (await fs.stat(log).catch(() => null)))
+      records = await loadRecords([log]);
+  }
+
+  const stats = new Map(); // scope -> { metric: summarize() }
+  let samples = null;
+  if (records) {
+    samples = samplesFromRecords(records);
+    for (const [key, byMetric] of samples)
+      stats.set(
+        key,
+        Object.fromEntries(METRICS.map(([m]) => [m, summarize(byMetric[m])]))
+      );
+  } else {
+    stats.set('overall', summary.overall);
+    for (const f of summary.perFile ?? []) stats.set(f.key, f);
+  }
+
+  const runId =
+    summary?.runId ?? records?.find((r) => r.runId)?.runId ?? path.basename(p);
+  return { path: p, runId, stats, samples };
+}
+
+// Standard normal CDF (Abramowitz & Stegun 7.1.26 erf approximation)
+function normCdf(z) {
+  const x = Math.abs(z) / Math.SQRT2;
+  const t = 1 / (1 + 0.3275911 * x);
+  const y =
+    1 -
+    ((((1.061405429 * t - 1.453152027) * t + 1.421413741) * t - 0.284496736) *
+      t +
+      0.254829592) *
+      t *
+      Math.exp(-x * x);
+  return z >= 0 ? (1 + y) / 2 : (1 - y) / 2;
+}
+
+// Two-sided Mann-Whitney U test, normal approximation with tie and
+// continuity correction. Returns null when either side has < 2 samples.
+export function mannWhitney(a, b) {
+  const n1 = a.length;
+  const n2 = b.length;
+  if (n1 < 2 || n2 < 2) return null;
+  const all = a
+    .map((v) => [v, 0])
+    .concat(b.map((v) => [v, 1]))
+    .sort((x, y) => x[0] - y[0]);
+  const n = all.length;
+  let r1 = 0;
+  let ties = 0;
+  for (let i = 0; i < n; ) {
+    let j = i;
+    while (j + 1 < n && all[j + 1][0] === all[i][0]) j++;
+    const rank = (i + j + 2) / 2; // average of ranks i+1..j+1
+    const t = j - i + 1;
+    ties += t ** 3 - t;
+    for (let k = i; k <= j; k++) if (all[k][1] === 0) r1 += rank;
+    i = j + 1;
+  }
+  const u1 = r1 - (n1 * (n1 + 1)) / 2;
+  const mu = (n1 * n2) / 2;
+  const sigma = Math.sqrt(((n1 * n2) / 12) * (n + 1 - ties / (n * (n - 1))));
+  if (sigma === 0) return { u: u1, z: 0, p: 1 };
+  const diff = u1 - mu;
+  const z = (diff - Math.sign(diff) * 0.5) / sigma;
+  return {
+    u: u1,
+    z: +z.toFixed(3),
+    p: +(2 * (1 - normCdf(Math.abs(z)))).toFixed(4),
+  };
+}
+
+function compareRuns(base, cur, { threshold, alpha }) {
+  const scopes = [...base.stats.keys()].filter((k) => cur.stats.has(k));
+  const rows = [];
+  for (const scope of scopes) {
+    for (const [m] of METRICS) {
+      const a = base.stats.get(scope)[m];
+      const b = cur.stats.get(scope)[m];
+      if (!a || !b) continue;
+      const test =
+        base.samples && cur.samples
+          ? mannWhitney(base.samples.get(scope)[m], cur.samples.get(scope)[m])
+          : null;
+      for (const pct of PCTS) {
+        if (!Number.isFinite(a[pct]) || !Number.isFinite(b[pct])) continue;
+        const delta = b[pct] - a[pct];
+        const deltaPct = a[pct] ? (delta / a[pct]) * 100 : null;
+        // Without raw samples there is no test; the threshold alone decides.
+        const significant = test ? test.p < alpha : null;
+        const beyond = deltaPct !== null && Math.abs(deltaPct) > threshold;
+        let verdict = 'same';
+        if (beyond && significant !== false)
+          verdict = delta > 0 ? 'regression' : 'improvement';
+        else if (beyond) verdict = 'noise';
+        rows.push({
+          scope,
+          metric: m,
+          stat: pct,
+          base: a[pct],
+          current: b[pct],
+          delta,
+          deltaPct: deltaPct === null ? null : +deltaPct.toFixed(1),
+          p: test?.p ?? null,
+          verdict,
+        });
+      }
+    }
+  }
+  return rows;
+}
+
+function fmtRow(r) {
+  const sign = r.delta > 0 ? '+' : '';
+  const pct = r.deltaPct === null ? 'n/a' : `${sign}${r.deltaPct}%`;
+  const flag =
+    r.verdict === 'regression'
+      ? '  REGRESSION'
+      : r.verdict === 'improvement'
+      ? '  improved'
+      : r.verdict === 'noise'
+      ? '  (not significant)'
+      : '';
+  return `  ${`${r.metric} ${r.stat}`.padEnd(13)} ${String(r.base).padStart(
+    7
+  )} -> ${String(r.current).padEnd(7)} ${`${sign}${r.delta}`.padStart(
+    7
+  )} (${pct}) p=${r.p ?? 'n/a'}${flag}`;
+}
+
+export async function runCompare(args) {
+  const inputs = args._.slice(1);
+  if (inputs.length < 2)
+    throw new UsageError(
+      'compare: pass two or more runs (run-*-summary.json or run-*.ndjson); the first is the baseline.'
+    );
+  const threshold = Number(args.threshold ?? 10);
+  const alpha = Number(args.alpha ?? 0.05);
+  if (!Number.isFinite(threshold) || !Number.isFinite(alpha))
+    throw new UsageError('compare: --threshold and --alpha must be numbers.');
+  const format = String(args.format ?? 'text');
+  if (!FORMATS.includes(format))
+    throw new UsageError(
+      `compare: unknown --format "${format}". Use ${FORMATS.join('|')}.`
+    );
+
+  const runs = [];
+  for (const p of inputs) runs.push(await loadRun(p));
+  const [base, ...rest] = runs;
+  const comparisons = rest.map((cur) => {
+    const rows = compareRuns(base, cur, { threshold, alpha });
+    return {
+      baseline: base.runId,
+      current: cur.runId,
+      regressions: rows.filter((r) => r.verdict === 'regression').length,
+      rows,
+    };
+  });
+
+  if (format === 'json') {
+    process.stdout.write(
+      JSON.stringify({ threshold, alpha, comparisons }, null, 2) + '\n'
+    );
+    return;
+  }
+
+  console.log(
+    `Baseline: ${base.runId}  Threshold: ${threshold}%  Alpha: ${alpha} (Mann-Whitney U)`
+  );
+  for (const c of comparisons) {
+    console.log(`\n=== ${c.current} vs ${c.baseline} ===`);
+    let scope = null;
+    for (const r of c.rows) {
+      if (r.scope !== scope) {
+        scope = r.scope;
+        console.log(scope === 'overall' ? 'Overall' : scope);
+      }
+      console.log(fmtRow(r));
+    }
+    console.log(`Regressions flagged: ${c.regressions}`);
+  }
+  if (runs.some((r) => !r.samples))
+    console.log(
+      '\nNote: some runs had no NDJSON log next to their summary; significance is n/a for those.'
+    );
+}
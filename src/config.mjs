@@ -0,0 +1,304 @@
+import fs from 'fs/promises';
+import { parseBytes, parseDuration } from './util.mjs';
+import { PROFILES } from './profiles.mjs';
+import { CLIENT_PROFILE_NAMES } from './clients.mjs';
+
+// ---------- Run configuration
+// Every run option is declared once here. Values are merged, lowest first:
+// schema default < config "defaults" < config profile (with "extends") <
+// options of a --resume'd run < CLD_TESTS_<OPTION> environment variable <
+// command-line flag. Each layer is checked against the schema, so typos and
+// bad values fail up front.
+
+const int = (min = 0) => ({ type: 'int', min });
+
+export const SCHEMA = {
+  'cloud-name': { type: 'string' },
+  'upload-preset': { type: 'string' },
+  'asset-folder': { type: 'string' },
+  'api-base': { type: 'string', default: 'https://api.cloudinary.com' },
+  signed: { type: 'enum', values: ['true', 'false', 'both'], default: 'false' },
+  'api-key': { type: 'string' },
+  'api-secret': { type: 'string', secret: true },
+  'resource-type': {
+    type: 'enum',
+    values: ['image', 'video', 'raw', 'auto', 'infer'],
+    default: 'image',
+  },
+  files: { type: 'list' },
+  'files-dir': { type: 'string' },
+  recursive: { type: 'bool', default: false },
+  manifest: { type: 'string' },
+  limit: { ...int(0), default: 0 },
+  profile: { type: 'enum', values: PROFILES, default: 'batch' },
+  batches: { ...int(1), default: 5 },
+  'delay-ms': { ...int(0), default: 10000 },
+  duration: { type: 'duration', default: '5m' },
+  rate: { type: 'number', min: 0.001, default: 1 },
+  interval: { type: 'duration' },
+  'max-in-flight': { ...int(1), default: 256 },
+  'ramp-from': { ...int(1), default: 1 },
+  'ramp-to': int(1),
+  'ramp-step': { ...int(1), default: 1 },
+  'step-duration': { type: 'duration', default: '30s' },
+  concurrency: { ...int(1), default: 6 },
+  keepalive: { type: 'bool', default: true },
+  'timeout-ms': { ...int(0), default: 0 },
+  proxy: { type: 'string', secret: true },
+  resolve: { type: 'list' },
+  'dns-server': { type: 'list' },
+  http: { type: 'enum', values: ['1.1', '2', 'auto'], default: '1.1' },
+  connections: int(1),
+  'h2-streams': { ...int(1), default: 100 },
+  'chunk-size': { type: 'bytes' },
+  'progress-interval-ms': { ...int(0), default: 100 },
+  throttle: { type: 'string' },
+  'client-profile': {
+    type: 'enum',
+    values: CLIENT_PROFILE_NAMES,
+    default: 'script',
+  },
+  har: { type: 'string' },
+  'metrics-port': { ...int(0), default: 0 },
+  'metrics-host': { type: 'string', default: '127.0.0.1' },
+  'otlp-file': { type: 'string' },
+  tui: { type: 'bool', default: false },
+  assert: { type: 'list' },
+  junit: { type: 'string' },
+  'return-delete-token': { type: 'bool', default: false },
+  deliver: { type: 'bool', default: false },
+  'deliver-transformation': { type: 'list' },
+  'deliver-poll-ms': { ...int(1), default: 1000 },
+  'deliver-max-wait': { type: 'duration', default: '60s' },
+  verify: {
+    type: 'enum',
+    values: ['false', 'true', 'download'],
+    default: 'false',
+  },
+  retries: { ...int(0), default: 0 },
+  'retry-on': { type: 'string' },
+  'retry-base-ms': { ...int(0), default: 500 },
+  'retry-max-ms': { ...int(0), default: 10000 },
+  dry: { type: 'bool', default: false },
+  // Only meaningful on the command line / environment
+  config: { type: 'string', cliOnly: true },
+  'config-profile': { type: 'string', cliOnly: true },
+  resume: { type: 'string', cliOnly: true },
+  help: { type: 'bool', cliOnly: true },
+};
+
+export const envName = (key) =>
+  `CLD_TESTS_${key.toUpperCase().replace(/-/g, '_')}`;
+
+function distance(a, b) {
+  const d = Array.from({ length: a.length + 1 }, (_, i) => [i]);
+  for (let j = 1; j <= b.length; j++) d[0][j] = j;
+  for (let i = 1; i <= a.length; i++)
+    for (let j = 1; j <= b.length; j++)
+      d[i][j] = Math.min(
+        d[i - 1][j] + 1,
+        d[i][j - 1] + 1,
+        d[i - 1][j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+  return d[a.length][b.length];
+}
+
+function suggest(key, dash = '') {
+  const best = Object.keys(SCHEMA)
+    .map((k) => [k, distance(key, k)])
+    .sort((x, y) => x[1] - y[1])[0];
+  return best && best[1] <= 2 ? ` (did you mean "${dash}${best[0]}"?)` : '';
+}
+
+// Coerce one raw value (CLI/env string, or JSON value) to the schema type.
+// `where` and `name` (e.g. "--batches") are used in error messages.
+function coerce(key, raw, where, name = key) {
+  const spec = SCHEMA[key];
+  const bad = (expected) =>
+    new Error(
+      `${where}: ${name} must be ${expected}, got ${JSON.stringify(raw)}`
+    );
+  if (spec.type === 'list') {
+    const items = [raw].flat();
+    if (!items.every((s) => typeof s === 'string' && s))
+      throw bad('a string or a list of strings');
+    return items;
+  }
+  if (Array.isArray(raw)) throw bad('a single value (given more than once)');
+  switch (spec.type) {
+    case 'string':
+      if (typeof raw === 'number') return String(raw);
+      if (typeof raw !== 'string' || !raw) throw bad('a non-empty string');
+      return raw;
+    case 'bool':
+      if (raw === true || raw === 'true') return true;
+      if (raw === false || raw === 'false') return false;
+      throw bad('true or false');
+    case 'enum': {
+      const v = String(raw);
+      if (!spec.values.includes(v))
+        throw bad(`one of ${spec.values.join(', ')}`);
+      return v;
+    }
+    case 'int':
+    case 'number': {
+      const v = typeof raw === 'number' ? raw : Number(raw);
+      if (raw === true || raw === '' || !Number.isFinite(v))
+        throw bad(spec.type === 'int' ? 'an integer' : 'a number');
+      if (spec.type === 'int' && !Number.isInteger(v)) throw bad('an integer');
+      if (v < spec.min) throw bad(`>= ${spec.min}`);
+      return v;
+    }
+    case 'bytes': {
+      const v = parseBytes(raw);
+      if (raw === true || !Number.isFinite(v))
+        throw bad('a size like 6mb or 512kb');
+      return v;
+    }
+    case 'duration': {
+      const v = parseDuration(raw);
+      if (raw === true || !(v > 0))
+        throw bad('a duration like 1500, 90s, 5m or 1h');
+      return v;
+    }
+  }
+}
+
+// Validate one layer (an object of option -> raw value) and coerce it
+function readLayer(obj, where, { cli = false } = {}) {
+  const out = {};
+  const dash = cli ? '--' : '';
+  for (const [key, raw] of Object.entries(obj)) {
+    if (!SCHEMA[key])
+      throw new Error(
+        `${where}: unknown option "${dash}${key}"${suggest(key, dash)}`
+      );
+    if (SCHEMA[key].cliOnly && !cli)
+      throw new Error(`${where}: "${key}" can only be set on the command line`);
+    out[key] = coerce(key, raw, where, `${dash}${key}`);
+  }
+  return out;
+}
+
+// Config file: { "defaults": {...}, "profiles": { "<name>": { "extends": "<name>", ... } } }
+async function readConfigFile(file, profileName) {
+  let json;
+  try {
+    json = JSON.parse(await fs.readFile(file, 'utf8'));
+  } catch (err) {
+    throw new Error(
+      `Config ${file}: ${err.code === 'ENOENT' ? 'not found' : err.message}`
+    );
+  }
+  if (!json || typeof json !== 'object' || Array.isArray(json))
+    throw new Error(`Config ${file}: expected a JSON object`);
+  for (const k of Object.keys(json))
+    if (!['defaults', 'profiles', '$schema'].includes(k))
+      throw new Error(
+        `Config ${file}: unknown top-level key "${k}" (use "defaults" and "profiles")`
+      );
+  const isObject = (v) => !!v && typeof v === 'object' && !Array.isArray(v);
+  const profiles = json.profiles ?? {};
+  if (!isObject(profiles))
+    throw new Error(
+      `Config ${file}: "profiles" must be an object of named profiles`
+    );
+  if (json.defaults !== undefined && !isObject(json.defaults))
+    throw new Error(`Config ${file}: "defaults" must be an object of options`);
+  const layers = [
+    {
+      source: `${file}:defaults`,
+      values: readLayer(json.defaults ?? {}, `Config ${file} defaults`),
+    },
+  ];
+  if (!profileName) return layers;
+
+  const chain = [];
+  for (let name = profileName; name; name = profiles[name].extends) {
+    if (!Object.hasOwn(profiles, name))
+      throw new Error(
+        `Config ${file}: no profile "${name}". Profiles: ${
+          Object.keys(profiles).join(', ') || 'none'
+        }`
+      );
+    if (!isObject(profiles[name]))
+      throw new Error(
+        `Config ${file}: profile "${name}" is malformed: expected an object of options, got ${JSON.stringify(
+          profiles[name]
+        )}`
+      );
+    if (chain.includes(name))
+      throw new Error(
+        `Config ${file}: profile "${name}" extends itself (${[
+          ...chain,
+          name,
+        ].join(' -> ')})`
+      );
+    chain.push(name);
+  }
+  for (const name of chain.reverse()) {
+    const { extends: _, ...opts } = profiles[name];
+    layers.push({
+      source: `${file}:${name}`,
+      values: readLayer(opts, `Config ${file} profile "${name}"`),
+    });
+  }
+  return layers;
+}
+
+// Returns { values, sources, file, profile }; sources says where each value
+// came from ('default', '<file>:<profile>', 'resume', 'env' or 'cli').
+// resumed: the logged options of the run being resumed
+export async function loadConfig(args, env = process.env, resumed = null) {
+  const { _, ...flags } = args;
+  const cli = readLayer(flags, 'Command line', { cli: true });
+  const envVals = {};
+  for (const key of Object.keys(SCHEMA)) {
+    const v = env[envName(key)];
+    if (v !== undefined && v !== '')
+      envVals[key] = coerce(key, v, `Environment ${envName(key)}`);
+  }
+
+  const file = cli.config ?? envVals.config;
+  const profileName = cli['config-profile'] ?? envVals['config-profile'];
+  if (profileName && !file)
+    throw new Error(
+      '--config-profile needs --config <file> (or CLD_TESTS_CONFIG)'
+    );
+  const fileLayers = file ? await readConfigFile(file, profileName) : [];
+  // Options that only applied to how that run was started are left out
+  const resumedLayer = resumed
+    ? readLayer(
+        Object.fromEntries(
+          Object.entries(resumed).filter(
+            ([k]) => SCHEMA[k] && !SCHEMA[k].cliOnly && k !== 'dry'
+          )
+        ),
+        'Resumed run'
+      )
+    : {};
+
+  const values = {};
+  const sources = {};
+  const apply = (layer, source) => {
+    for (const [k, v] of Object.entries(layer)) {
+      values[k] = v;
+      sources[k] = source;
+    }
+  };
+  for (const [k, spec] of Object.entries(SCHEMA))
+    if (spec.default !== undefined)
+      apply({ [k]: coerce(k, spec.default, 'Default') }, 'default');
+  for (const layer of fileLayers) apply(layer.values, layer.source);
+  apply(resumedLayer, 'resume');
+  apply(envVals, 'env');
+  apply(cli, 'cli');
+  return { values, sources, file: file ?? null, profile: profileName ?? null };
+}
+
+// The effective config as logged: secrets redacted
+export function redactConfig(values) {
+  return Object.fromEntries(
+    Object.entries(values).map(([k, v]) => [k, SCHEMA[k]?.secret ? '***' : v])
+  );
+}
@@ -0,0 +1,200 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+// ---------- File-set selection
+// Sources, in order of precedence: --manifest, --files globs, the files/ dir.
+// Each selected file is { path, name, size, weight, publicIdPrefix,
+// resourceType }; `name` is relative to the source dir and is the per-file
+// stats key, so same-named files in different subfolders stay apart.
+
+const IMAGE_EXT = new Set(
+  'jpg jpeg png gif webp avif heic heif bmp tif tiff svg ico jxl'.split(' ')
+);
+const VIDEO_EXT = new Set(
+  'mp4 mov m4v webm mkv avi 3gp mpeg mpg ogv mp3 wav aac m4a flac ogg'.split(
+    ' '
+  )
+);
+
+// Cloudinary resource type from the extension (audio uploads as video)
+export function inferResourceType(name) {
+  const ext = path.extname(name).slice(1).toLowerCase();
+  if (IMAGE_EXT.has(ext)) return 'image';
+  if (VIDEO_EXT.has(ext)) return 'video';
+  return 'raw';
+}
+
+const SIZE_BUCKETS = [
+  [1024 ** 2, '<1mb'],
+  [5 * 1024 ** 2, '1-5mb'],
+  [10 * 1024 ** 2, '5-10mb'],
+  [50 * 1024 ** 2, '10-50mb'],
+  [100 * 1024 ** 2, '50-100mb'],
+  [Infinity, '>=100mb'],
+];
+export function sizeBucket(size) {
+  return SIZE_BUCKETS.find(([limit]) => size < limit)[1];
+}
+// Lower bound of a bucket, for sorting summaries
+export function sizeBucketFloor(label) {
+  const i = SIZE_BUCKETS.findIndex(([, l]) => l === label);
+  return i > 0 ? SIZE_BUCKETS[i - 1][0] : 0;
+}
+
+async function walk(dir, recursive) {
+  const out = [];
+  for (const ent of await fs.readdir(dir, { withFileTypes: true })) {
+    if (ent.name.startsWith('.')) continue;
+    const p = path.join(dir, ent.name);
+    if (ent.isDirectory()) {
+      if (recursive) out.push(...(await walk(p, recursive)));
+    } else if (ent.isFile()) {
+      out.push(p);
+    }
+  }
+  return out;
+}
+
+async function describe(p, baseDir, extra = {}) {
+  const st = await fs.stat(p).catch(() => null);
+  if (!st || !st.isFile()) throw new Error(`Not a file: ${p}`);
+  await fs.access(p, fs.constants.R_OK).catch(() => {
+    throw new Error(`Not readable: ${p}`);
+  });
+  return {
+    path: p,
+    name: path.relative(baseDir, p).split(path.sep).join('/'),
+    size: st.size,
+    weight: 1,
+    publicIdPrefix: '',
+    resourceType: null,
+    ...extra,
+  };
+}
+
+// Minimal CSV: header row, comma separated, double-quoted cells allowed
+function parseCsv(text) {
+  const rows = [];
+  for (const line of text.split(/\r?\n/)) {
+    if (!line.trim() || line.startsWith('#')) continue;
+    const cells = [];
+    let cur = '';
+    let quoted = false;
+    for (let i = 0; i < line.length; i++) {
+      const ch = line[i];
+      if (quoted) {
+        if (ch === '"' && line[i + 1] === '"') {
+          cur += '"';
+          i++;
+        } else if (ch === '"') quoted = false;
+        else cur += ch;
+      } else if (ch === '"') quoted = true;
+      else if (ch === ',') {
+        cells.push(cur.trim());
+        cur = '';
+      } else cur += ch;
+    }
+    cells.push(cur.trim());
+    rows.push(cells);
+  }
+  const [header = [], ...body] = rows;
+  return body.map((cells) =>
+    Object.fromEntries(header.map((h, i) => [h.trim(), cells[i] ?? '']))
+  );
+}
+
+// Manifest: JSON array (or { files: [...] }) or CSV with the columns
+// path, weight, public_id_prefix, resource_type. Paths are relative to the
+// manifest; weight is how many times the file is uploaded per batch.
+async function readManifest(manifestPath) {
+  const text = await fs.readFile(manifestPath, 'utf8');
+  const entries = manifestPath.toLowerCase().endsWith('.csv')
+    ? parseCsv(text)
+    : [JSON.parse(text)].flatMap((j) => (Array.isArray(j) ? j : j.files));
+  const baseDir = path.dirname(path.resolve(manifestPath));
+  const files = [];
+  for (const [i, e] of entries.entries()) {
+    const entry = typeof e === 'string' ? { path: e } : e ?? {};
+    if (!entry.path)
+      throw new Error(`Manifest ${manifestPath}: entry ${i + 1} has no path`);
+    const weight = Number(entry.weight || 1);
+    if (!Number.isInteger(weight) || weight < 1)
+      throw new Error(
+        `Manifest ${manifestPath}: weight of ${entry.path} must be a positive integer`
+      );
+    const resourceType = entry.resourceType ?? entry.resource_type ?? null;
+    if (
+      resourceType &&
+      !['image', 'video', 'raw', 'auto'].includes(resourceType)
+    )
+      throw new Error(
+        `Manifest ${manifestPath}: resource type of ${entry.path} must be image|video|raw|auto`
+      );
+    files.push(
+      await describe(path.resolve(baseDir, entry.path), baseDir, {
+        weight,
+        publicIdPrefix: entry.publicIdPrefix ?? entry.public_id_prefix ?? '',
+        resourceType: resourceType || null,
+      })
+    );
+  }
+  return files;
+}
+
+async function expandGlobs(patterns, recursive) {
+  const cwd = process.cwd();
+  const seen = new Set();
+  const files = [];
+  for (const pattern of patterns) {
+    for await (const match of fs.glob(pattern, { cwd })) {
+      const p = path.resolve(cwd, match);
+      const st = await fs.stat(p).catch(() => null);
+      const found = st?.isDirectory()
+        ? await walk(p, recursive)
+        : st?.isFile()
+        ? [p]
+        : [];
+      for (const f of found) {
+        if (seen.has(f)) continue;
+        seen.add(f);
+        files.push(await describe(f, cwd));
+      }
+    }
+  }
+  return files;
+}
+
+export async function selectFiles({
+  filesDir,
+  patterns = [],
+  manifest = null,
+  recursive = false,
+  resourceType = 'image',
+  limit = 0,
+}) {
+  let files;
+  let source;
+  if (manifest) {
+    files = await readManifest(manifest);
+    source = manifest;
+  } else if (patterns.length) {
+    files = await expandGlobs(patterns, recursive);
+    source = patterns.join(', ');
+  } else {
+    files = [];
+    for (const p of await walk(filesDir, recursive))
+      files.push(await describe(p, filesDir));
+    source = filesDir;
+  }
+  if (!files.length) throw new Error(`No files selected from ${source}.`);
+
+  files.sort((a, b) => a.size - b.size || a.name.localeCompare(b.name));
+  if (limit > 0) files = files.slice(0, limit);
+
+  // --resource-type infer picks image/video/raw per file; a manifest value wins
+  for (const f of files) {
+    f.resourceType ??=
+      resourceType === 'infer' ? inferResourceType(f.name) : resourceType;
+  }
+  return files;
+}
@@ -0,0 +1,339 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import zlib from 'node:zlib';
+import { createRng, humanBytes, parseBytes, UsageError } from './util.mjs';
+
+// ---------- Synthetic test assets
+// Valid PNG / JPEG / raw files of an exact byte size, filled with seeded
+// random data so they don't compress in transit and every machine given the
+// same --seed produces byte-identical files.
+
+const DEFAULT_SIZES = '500kb,1mb,5mb,10mb,50mb';
+const FORMATS = { png: 'png', jpg: 'jpg', jpeg: 'jpg', raw: 'bin', bin: 'bin' };
+// The repo's files/, which the upload CLI reads by default, wherever
+// generate is run from
+const FILES_DIR = fileURLToPath(new URL('../files', import.meta.url));
+
+function fillRandom(buf, rng) {
+  let i = 0;
+  for (; i + 4 <= buf.length; i += 4)
+    buf.writeUInt32LE(Math.floor(rng() * 0x100000000), i);
+  for (; i < buf.length; i++) buf[i] = Math.floor(rng() * 256);
+  return buf;
+}
+
+function randomBytes(n, rng) {
+  return fillRandom(Buffer.allocUnsafe(n), rng);
+}
+
+// ---------- PNG: RGB noise in stored (uncompressed) deflate blocks, topped
+// up to the exact size with a private ancillary chunk.
+
+function pngChunk(type, data) {
+  const head = Buffer.alloc(8);
+  head.writeUInt32BE(data.length, 0);
+  head.write(type, 4, 'latin1');
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(zlib.crc32(data, zlib.crc32(head.subarray(4))), 0);
+  return Buffer.concat([head, data, crc]);
+}
+
+function adler32(buf) {
+  let a = 1;
+  let b = 0;
+  for (let i = 0; i < buf.length; ) {
+    // 5552 bytes is the largest run before the sums can overflow 2^32
+    const end = Math.min(i + 5552, buf.length);
+    for (; i < end; i++) {
+      a += buf[i];
+      b += a;
+    }
+    a %= 65521;
+    b %= 65521;
+  }
+  return ((b << 16) | a) >>> 0;
+}
+
+function storedZlib(raw) {
+  const blocks = Math.max(1, Math.ceil(raw.length / 65535));
+  const out = Buffer.alloc(2 + raw.length + 5 * blocks + 4);
+  out[0] = 0x78;
+  out[1] = 0x01;
+  let o = 2;
+  for (let k = 0; k < blocks; k++) {
+    const part = raw.subarray(k * 65535, (k + 1) * 65535);
+    out[o] = k === blocks - 1 ? 1 : 0;
+    out.writeUInt16LE(part.length, o + 1);
+    out.writeUInt16LE(~part.length & 0xffff, o + 3);
+    part.copy(out, o + 5);
+    o += 5 + part.length;
+  }
+  out.writeUInt32BE(adler32(raw), o);
+  return out;
+}
+
+const storedZlibSize = (n) => 2 + n + 5 * Math.max(1, Math.ceil(n / 65535)) + 4;
+
+function makePng(size, rng) {
+  // signature + IHDR + IDAT framing + IEND + padding chunk framing
+  const fixed = 8 + 25 + 12 + 12 + 12;
+  const width = Math.max(
+    1,
+    Math.min(1024, Math.floor(Math.sqrt(Math.max(0, size - fixed) / 3)))
+  );
+  const rowBytes = 1 + width * 3; // filter byte + RGB
+  let height = Math.floor((size - fixed) / rowBytes);
+  while (height > 0 && storedZlibSize(height * rowBytes) + fixed > size)
+    height--;
+  if (height < 1)
+    throw new UsageError(`generate: ${size} bytes is too small for a PNG`);
+
+  const raw = randomBytes(height * rowBytes, rng);
+  for (let y = 0; y < height; y++) raw[y * rowBytes] = 0; // filter: none
+  const ihdr = Buffer.alloc(13);
+  ihdr.writeUInt32BE(width, 0);
+  ihdr.writeUInt32BE(height, 4);
+  ihdr[8] = 8; // bit depth
+  ihdr[9] = 2; // truecolour
+  const idat = pngChunk('IDAT', storedZlib(raw));
+  const used = 8 + 25 + idat.length + 12 + 12;
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    pngChunk('IHDR', ihdr),
+    pngChunk('paDd', randomBytes(size - used, rng)),
+    idat,
+    pngChunk('IEND', Buffer.alloc(0)),
+  ]);
+}
+
+// ---------- JPEG: baseline, 4:4:4 YCbCr. The scan holds random quantised DCT
+// coefficients (it decodes to noise) so no DCT is needed; one restart
+// interval per MCU row lets rows be added until the size budget is reached,
+// and COM segments fill the remainder.
+
+// Canonical Huffman table: 6 codes of 3 bits, the rest 4 bits (never all ones)
+function huffTable(symbols) {
+  const bits = new Array(16).fill(0);
+  bits[2] = Math.min(6, symbols.length);
+  bits[3] = symbols.length - bits[2];
+  const codes = new Map();
+  let code = 0;
+  let k = 0;
+  for (let len = 1; len <= 16; len++) {
+    for (let n = 0; n < bits[len - 1]; n++)
+      codes.set(symbols[k++], [code++, len]);
+    code <<= 1;
+  }
+  return { bits, symbols, codes };
+}
+
+const DC_TABLE = huffTable([0, 1, 2, 3, 4, 5, 6, 7, 8]);
+// run 0 / size 1..6: every AC coefficient is non-zero, so no EOB is needed
+const AC_TABLE = huffTable([1, 2, 3, 4, 5, 6]);
+
+class BitWriter {
+  constructor(capacity) {
+    this.buf = Buffer.allocUnsafe(capacity);
+    this.pos = 0;
+    this.acc = 0;
+    this.n = 0;
+  }
+  // len <= 16
+  write(value, len) {
+    this.acc = (this.acc << len) | (value & ((1 << len) - 1));
+    this.n += len;
+    while (this.n >= 8) {
+      this.n -= 8;
+      const byte = (this.acc >>> this.n) & 0xff;
+      this.buf[this.pos++] = byte;
+      if (byte === 0xff) this.buf[this.pos++] = 0; // byte stuffing
+    }
+    this.acc &= (1 << this.n) - 1;
+  }
+  finish() {
+    if (this.n) this.write(0xff, 8 - this.n);
+    return this.buf.subarray(0, this.pos);
+  }
+}
+
+function writeCoef(bw, table, value) {
+  const cat = value === 0 ? 0 : 32 - Math.clz32(Math.abs(value));
+  const [code, len] = table.codes.get(cat);
+  bw.write(code, len);
+  if (cat) bw.write(value > 0 ? value : value + (1 << cat) - 1, cat);
+}
+
+// Random value of magnitude category 1..maxCat with a random sign
+function randomCoef(rng, maxCat) {
+  const cat = 1 + Math.floor(rng() * maxCat);
+  const lo = 1 << (cat - 1);
+  const v = lo + Math.floor(rng() * lo);
+  return rng() < 0.5 ? -v : v;
+}
+
+function encodeMcuRow(mcus, rng) {
+  // at most 12 + 63 * 10 bits per block, doubled for byte stuffing
+  const bw = new BitWriter(mcus * 3 * 81 * 2);
+  const pred = [0, 0, 0];
+  for (let m = 0; m < mcus; m++) {
+    for (let c = 0; c < 3; c++) {
+      const dc = Math.floor(rng() * 129) - 64;
+      writeCoef(bw, DC_TABLE, dc - pred[c]);
+      pred[c] = dc;
+      for (let k = 1; k < 64; k++) writeCoef(bw, AC_TABLE, randomCoef(rng, 6));
+    }
+  }
+  return bw.finish();
+}
+
+function segment(marker, data) {
+  const head = Buffer.from([0xff, marker, 0, 0]);
+  head.writeUInt16BE(data.length + 2, 2);
+  return Buffer.concat([head, data]);
+}
+
+function makeJpeg(size, rng) {
+  // roughly square up to 1024 px wide; noise costs about 2.5 bytes per pixel
+  const mcus = Math.max(
+    1,
+    Math.min(128, Math.floor(Math.sqrt(size / 2.5) / 8))
+  );
+  const width = mcus * 8;
+  const dht = (cls, id, t) =>
+    Buffer.from([(cls << 4) | id, ...t.bits, ...t.symbols]);
+  const head = (height) => [
+    Buffer.from([0xff, 0xd8]),
+    segment(
+      0xe0,
+      Buffer.from([0x4a, 0x46, 0x49, 0x46, 0, 1, 1, 0, 0, 1, 0, 1, 0, 0])
+    ),
+    segment(0xdb, Buffer.from([0, ...new Array(64).fill(1)])),
+    segment(
+      0xc0,
+      Buffer.from([
+        8,
+        height >> 8,
+        height & 0xff,
+        width >> 8,
+        width & 0xff,
+        3,
+        ...[1, 2, 3].flatMap((id) => [id, 0x11, 0]),
+      ])
+    ),
+    segment(0xc4, Buffer.concat([dht(0, 0, DC_TABLE), dht(1, 0, AC_TABLE)])),
+    segment(0xdd, Buffer.from([mcus >> 8, mcus & 0xff])),
+    segment(0xda, Buffer.from([3, 1, 0, 2, 0, 3, 0, 0, 63, 0])),
+  ];
+  const fixed = head(0).reduce((n, b) => n + b.length, 0) + 2; // + EOI
+
+  const rows = [];
+  let used = fixed;
+  for (;;) {
+    const row = encodeMcuRow(mcus, rng);
+    const cost = row.length + (rows.length ? 2 : 0); // RSTn before the row
+    // what is left must be 0 or fit at least one empty COM segment
+    const left = size - used - cost;
+    if (left !== 0 && left < 4) break;
+    rows.push(row);
+    used += cost;
+    if (rows.length === Math.floor(0xffff / 8)) break; // max JPEG height
+  }
+  if (!rows.length)
+    throw new UsageError(`generate: ${size} bytes is too small for a JPEG`);
+
+  const scan = [];
+  rows.forEach((row, i) => {
+    if (i) scan.push(Buffer.from([0xff, 0xd0 + ((i - 1) % 8)]));
+    scan.push(row);
+  });
+  const comments = [];
+  let left = size - used;
+  while (left > 0) {
+    // keep the last segment at least 4 bytes
+    let n = Math.min(left, 65537);
+    if (left - n > 0 && left - n < 4) n -= 4;
+    comments.push(segment(0xfe, randomBytes(n - 4, rng)));
+    left -= n;
+  }
+  const [soi, app0, ...rest] = head(rows.length * 8);
+  return Buffer.concat([
+    soi,
+    app0,
+    ...comments,
+    ...rest,
+    ...scan,
+    Buffer.from([0xff, 0xd9]),
+  ]);
+}
+
+function hashSeed(str) {
+  let h = 0;
+  for (const ch of str) h = (Math.imul(h, 31) + ch.charCodeAt(0)) >>> 0;
+  return h;
+}
+
+export function generateAsset(format, size, rng) {
+  if (format === 'png') return makePng(size, rng);
+  if (format === 'jpg') return makeJpeg(size, rng);
+  return randomBytes(size, rng);
+}
+
+export async function runGenerate(args) {
+  const sizes = String(args.sizes ?? DEFAULT_SIZES)
+    .split(',')
+    .map((s) => s.trim().toLowerCase())
+    .filter(Boolean);
+  const formats = String(args.formats ?? args.format ?? 'jpg')
+    .split(',')
+    .map((f) => f.trim().toLowerCase());
+  for (const f of formats)
+    if (!FORMATS[f])
+      throw new UsageError(
+        `generate: unknown format "${f}". Use png, jpg or raw.`
+      );
+  for (const s of sizes)
+    if (!(parseBytes(s) > 0))
+      throw new UsageError(`generate: invalid size "${s}" (e.g. 500kb, 5mb)`);
+
+  const seed = args.seed ?? 1;
+  const outDir =
+    args.out !== undefined
+      ? String(args.out)
+      : args.tmp
+      ? path.join(os.tmpdir(), `cld-fixtures-${seed}`)
+      : FILES_DIR;
+  const targets = [...new Set(formats.map((f) => FORMATS[f]))].flatMap((ext) =>
+    sizes.map((s) => ({ ext, s, file: path.join(outDir, `${s}.${ext}`) }))
+  );
+  // Don't clobber the shipped samples or files from another seed
+  if (!args.force) {
+    const existing = [];
+    for (const t of targets)
+      if (
+        await fs.access(t.file).then(
+          () => true,
+          () => false
+        )
+      )
+        existing.push(t.file);
+    if (existing.length)
+      throw new UsageError(
+        `generate: ${existing.join(', ')} already ${
+          existing.length === 1 ? 'exists' : 'exist'
+        }. Pass --force to overwrite.`
+      );
+  }
+  await fs.mkdir(outDir, { recursive: true });
+
+  console.log(`Generating into ${outDir} (seed ${seed})`);
+  for (const { ext, s, file } of targets) {
+    // One stream per file so each output only depends on seed, size and format
+    const rng = createRng(hashSeed(`${seed}:${s}:${ext}`));
+    const size = parseBytes(s);
+    const buf = generateAsset(ext, size, rng);
+    await fs.writeFile(file, buf);
+    console.log(`  ${file}  ${humanBytes(buf.length)} (${buf.length} bytes)`);
+  }
+}
@@ -0,0 +1,144 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { tool } from './util.mjs';
+
+// ---------- HAR 1.2 export
+// Turns run log records into a HAR file for Chrome DevTools and HAR viewers.
+// Every HTTP exchange is one entry: a whole-file upload attempt, or one chunk
+// of a chunked upload. Exchanges that threw get status 0 and an `_error`.
+// Each record's `http` block (see postForm in cli.mjs) has the headers and
+// body; `timings` has the phases.
+
+// Records that are one exchange: chunk events, and upload attempts that
+// weren't chunked (those are logged per chunk already)
+export const isExchange = (r) =>
+  Boolean(r.http) &&
+  (r.event === 'chunk' || (!r.event && typeof r.status === 'string'));
+
+// Exchanges that got no response: they threw, or the run was interrupted
+export const noResponse = (r) =>
+  r.status === 'exception' || r.status === 'aborted';
+
+const ms = (v) => (Number.isFinite(v) ? v : -1);
+
+// HAR phases from our timings. HAR's connect includes ssl and, through a
+// proxy, the CONNECT tunnel; blocked is the queue time left after DNS and
+// connect. Only the request that opened a socket has dns/connect/ssl.
+export function harTimings(t = {}) {
+  const cold = t.reused === false;
+  const dns = cold ? ms(t.dnsMs) : -1;
+  const ssl = cold ? ms(t.tlsMs) : -1;
+  const connect =
+    cold && (Number.isFinite(t.connectMs) || Number.isFinite(t.proxyConnectMs))
+      ? (t.proxyConnectMs ?? 0) + (t.connectMs ?? 0)
+      : -1;
+  const blocked = Number.isFinite(t.queueMs)
+    ? Math.max(0, t.queueMs - Math.max(dns, 0) - Math.max(connect, 0))
+    : -1;
+  return {
+    blocked,
+    dns,
+    connect,
+    ssl,
+    send: t.uploadMs ?? 0,
+    wait: t.ttfbMs ?? 0,
+    receive: t.downloadMs ?? 0,
+  };
+}
+
+function harEntry(r) {
+  const h = r.http;
+  const t = r.timings ?? {};
+  const httpVersion = t.alpn === 'h2' ? 'HTTP/2.0' : 'HTTP/1.1';
+  const failed = noResponse(r);
+  // A failed exchange has no phases; its time is all "blocked"
+  const timings = failed
+    ? {
+        blocked: h.elapsedMs ?? 0,
+        dns: -1,
+        connect: -1,
+        ssl: -1,
+        send: 0,
+        wait: 0,
+        receive: 0,
+      }
+    : harTimings(t);
+  // ssl is already counted in connect
+  const time = ['blocked', 'dns', 'connect', 'send', 'wait', 'receive']
+    .map((k) => Math.max(timings[k], 0))
+    .reduce((a, b) => a + b, 0);
+  const body = h.responseBody ?? '';
+  const mimeType =
+    h.responseHeaders?.find((x) => x.name.toLowerCase() === 'content-type')
+      ?.value ?? '';
+  const entry = {
+    pageref: r.runId ?? 'run',
+    startedDateTime: h.startedDateTime,
+    time,
+    request: {
+      method: h.method,
+      url: h.url,
+      httpVersion,
+      cookies: [],
+      headers: h.requestHeaders ?? [],
+      queryString: [],
+      postData: h.postData,
+      headersSize: -1,
+      bodySize: h.requestBodySize ?? -1,
+    },
+    response: {
+      status: failed ? 0 : r.httpStatus ?? 0,
+      statusText: h.statusText ?? '',
+      httpVersion,
+      cookies: [],
+      headers: h.responseHeaders ?? [],
+      content: { size: Buffer.byteLength(body), mimeType, text: body },
+      redirectURL: '',
+      headersSize: -1,
+      bodySize: failed ? -1 : Buffer.byteLength(body),
+    },
+    cache: {},
+    timings,
+    _file: r.file,
+    _batch: r.batch,
+    _attempt: r.attempt ?? 1,
+  };
+  if (t.remoteIp) entry.serverIPAddress = t.remoteIp;
+  if (Number.isFinite(t.socketId)) entry.connection = String(t.socketId);
+  if (r.event === 'chunk') entry._chunk = `${r.chunk}/${r.chunks}`;
+  if (failed) entry._error = r.errorDetails?.message ?? r.error;
+  if (r.status === 'corrupt') entry._corrupt = true;
+  return entry;
+}
+
+// One page per run, entries in start order
+export function buildHar(records) {
+  const entries = records
+    .filter(isExchange)
+    .map(harEntry)
+    .sort((a, b) => a.startedDateTime.localeCompare(b.startedDateTime));
+  const pages = new Map();
+  for (const e of entries)
+    if (!pages.has(e.pageref))
+      pages.set(e.pageref, {
+        startedDateTime: e.startedDateTime,
+        id: e.pageref,
+        title: `Upload run ${e.pageref}`,
+        pageTimings: {},
+      });
+  return {
+    log: {
+      version: '1.2',
+      creator: tool,
+      pages: [...pages.values()],
+      entries,
+    },
+  };
+}
+
+export async function writeHar(records, outPath) {
+  const har = buildHar(records);
+  await fs.mkdir(path.dirname(path.resolve(outPath)), { recursive: true });
+  await fs.writeFile(outPath, JSON.stringify(har, null, 2) + '\n', 'utf8');
+  return har.log.entries.length;
+}
@@ -0,0 +1,88 @@
+import dns from 'node:dns';
+import net from 'node:net';
+
+// ---------- Name resolution for new connections
+// A `lookup` for undici's connector (net/tls.connect). It answers pinned
+// hosts (--resolve host:IP) without asking DNS, and can send queries to
+// specific resolvers (--dns-server) instead of the system's getaddrinfo.
+// Lookups only happen when a connection is opened; the socket's "lookup"
+// event times them (see tracedConnector in cli.mjs).
+
+// ["api.cloudinary.com:1.2.3.4", "h:[::1]", "h:443:1.2.3.4"] -> Map host -> { address, family }
+export function parseResolve(entries = []) {
+  const pins = new Map();
+  for (const entry of entries.flatMap((e) => e.split(','))) {
+    const i = entry.indexOf(':');
+    const host = entry.slice(0, i).trim().toLowerCase();
+    let addr = entry.slice(i + 1).trim();
+    // curl's host:port:addr form; the port is not needed here
+    if (!net.isIP(addr.replace(/^\[|\]$/g, '')))
+      addr = addr.replace(/^\d+:/, '');
+    addr = addr.replace(/^\[|\]$/g, '');
+    const family = net.isIP(addr);
+    if (i < 1 || !family)
+      throw new Error(
+        `--resolve expects host:IP (e.g. api.cloudinary.com:1.2.3.4), got "${entry}"`
+      );
+    pins.set(host, { address: addr, family });
+  }
+  return pins;
+}
+
+// Addresses of one family from a Resolver; "no such record" is just empty
+async function resolveFamily(resolver, hostname, family) {
+  try {
+    const list = await (family === 6
+      ? resolver.resolve6(hostname)
+      : resolver.resolve4(hostname));
+    return list.map((address) => ({ address, family }));
+  } catch (err) {
+    if (['ENODATA', 'ENOTFOUND'].includes(err.code)) return [];
+    throw err;
+  }
+}
+
+export function createLookup({ pins = new Map(), servers = [] }) {
+  let resolver = null;
+  if (servers.length) {
+    resolver = new dns.promises.Resolver();
+    try {
+      resolver.setServers(servers);
+    } catch (err) {
+      throw new Error(`--dns-server: ${err.message}`);
+    }
+  }
+
+  return function lookup(hostname, options, callback) {
+    if (typeof options === 'function') [options, callback] = [{}, options];
+    const done = (err, addresses) => {
+      if (err) return callback(err);
+      if (options.all) return callback(null, addresses);
+      callback(null, addresses[0].address, addresses[0].family);
+    };
+
+    const pin = pins.get(hostname.toLowerCase());
+    if (pin) return done(null, [pin]);
+
+    if (!resolver)
+      return dns.lookup(hostname, { ...options, all: true }, (err, list) =>
+        done(err, list)
+      );
+
+    const families =
+      options.family === 4 || options.family === 6 ? [options.family] : [4, 6];
+    // Errors go to the second handler only, so a callback that throws isn't
+    // called again with its own error
+    Promise.all(families.map((f) => resolveFamily(resolver, hostname, f))).then(
+      (lists) => {
+        const addresses = lists.flat();
+        if (addresses.length) return done(null, addresses);
+        const err = new Error(`getaddrinfo ENOTFOUND ${hostname}`);
+        err.code = 'ENOTFOUND';
+        err.hostname = hostname;
+        done(err);
+      },
+      done
+    );
+  };
+}
@@ -0,0 +1,515 @@
+import http from 'node:http';
+import { createHash, randomBytes } from 'node:crypto';
+import {
+  delay,
+  humanBytes,
+  baseNameNoExt,
+  createRng,
+  UsageError,
+} from './util.mjs';
+import { signParams } from './signing.mjs';
+import { imageSize } from './verify.mjs';
+
+// ---------- Local mock of the Cloudinary upload API
+// Accepts the same multipart POST /v1_1/<cloud>/<resource_type>/upload as the
+// real service (whole file or Content-Range chunks) and answers with
+// Cloudinary-shaped JSON. Faults are injected from a seeded PRNG so a given
+// --seed replays the same sequence of failures. Uploaded assets are kept in
+// memory so delete_by_token and the Admin API delete can remove them, and
+// their bytes (up to STORE_LIMIT) so secure_url can be downloaded.
+
+const STORE_LIMIT = 256 * 1024 * 1024; // oldest asset bytes are evicted first
+
+// No faults; runMockServer fills these in from the flags
+const DEFAULTS = {
+  host: '127.0.0.1',
+  delayMs: [0, 0],
+  ttfbMs: [0, 0],
+  propagationMs: [0, 0],
+  errorRate: 0,
+  errorStatus: [500],
+  resetRate: 0,
+  truncateRate: 0,
+  rateLimit: 0,
+  rateWindowMs: 60_000,
+  deleteTokenTtlMs: 600_000,
+  // Parts of a chunked upload that gets no chunk for this long are dropped
+  chunkTtlMs: 15 * 60_000,
+};
+
+// "250" -> [250, 250], "100-500" -> [100, 500]
+function parseRange(v, name) {
+  if (v === undefined) return [0, 0];
+  const m = /^(\d+)(?:-(\d+))?$/.exec(String(v).trim());
+  if (!m) throw new UsageError(`mock-server: invalid --${name} "${v}"`);
+  const lo = Number(m[1]);
+  const hi = m[2] === undefined ? lo : Number(m[2]);
+  return [Math.min(lo, hi), Math.max(lo, hi)];
+}
+
+function parseRate(v, name) {
+  const n = Number(v ?? 0);
+  if (!Number.isFinite(n) || n < 0 || n > 1)
+    throw new UsageError(`mock-server: --${name} must be between 0 and 1`);
+  return n;
+}
+
+// Minimal multipart/form-data parser over a fully buffered body
+function parseMultipart(buf, contentType) {
+  const m = /boundary=(?:"([^"]+)"|([^;]+))/i.exec(contentType ?? '');
+  if (!m) return null;
+  const delim = Buffer.from(`--${m[1] ?? m[2]}`);
+  const fields = {};
+  let file = null;
+  let pos = buf.indexOf(delim);
+  while (pos !== -1) {
+    const start = pos + delim.length;
+    if (buf.subarray(start, start + 2).toString() === '--') break;
+    const headEnd = buf.indexOf('\r\n\r\n', start);
+    const next = buf.indexOf(delim, headEnd);
+    if (headEnd === -1 || next === -1) break;
+    const head = buf.subarray(start + 2, headEnd).toString('utf8');
+    const data = buf.subarray(headEnd + 4, next - 2); // strip trailing CRLF
+    const name = /name="([^"]*)"/i.exec(head)?.[1];
+    const filename = /filename="([^"]*)"/i.exec(head)?.[1];
+    if (filename !== undefined) {
+      file = {
+        name,
+        filename,
+        contentType: /content-type:\s*([^\r\n]+)/i.exec(head)?.[1] ?? null,
+        data,
+      };
+    } else if (name) {
+      fields[name] = data.toString('utf8');
+    }
+    pos = next;
+  }
+  return { fields, file };
+}
+
+// Read and discard the body so early error answers don't turn into EPIPE
+// on a client that is still writing.
+async function drain(req) {
+  await readBody(req);
+}
+
+// The whole body, or null when the client went away mid-body (an aborted
+// request resets the stream)
+async function readBody(req) {
+  const parts = [];
+  try {
+    for await (const d of req) parts.push(d);
+  } catch {
+    return null;
+  }
+  return Buffer.concat(parts);
+}
+
+function send(res, status, body, headers = {}) {
+  const json = JSON.stringify(body);
+  res.writeHead(status, {
+    'content-type': 'application/json; charset=utf-8',
+    'content-length': Buffer.byteLength(json),
+    'x-request-id': randomBytes(16).toString('hex'),
+    ...headers,
+  });
+  res.end(json);
+}
+
+function sendError(res, status, message) {
+  send(res, status, { error: { message } }, { 'x-cld-error': message });
+}
+
+export function createMockServer(options = {}) {
+  const opts = { ...DEFAULTS, ...options };
+  const rng = createRng(opts.seed);
+  const pick = ([lo, hi]) => lo + Math.floor(rng() * (hi - lo + 1));
+  const chunkedUploads = new Map(); // X-Unique-Upload-Id -> { parts, received, total }
+  const assets = new Map(); // "<type>/<public_id>" -> asset JSON
+  const deleteTokens = new Map(); // token -> { key, createdAt }
+  const blobs = new Map(); // "<type>/<public_id>" -> { data, contentType, servableAt }
+  const cached = new Map(); // delivery path -> first served (ms epoch)
+  let storedBytes = 0;
+  const rateHits = [];
+  const baseUrl = () =>
+    opts.publicUrl ?? `http://${opts.host}:${server.address().port}`;
+
+  function storeBlob(key, data, contentType) {
+    dropBlob(key);
+    if (data.length > STORE_LIMIT) return;
+    // --propagation-ms: 404 on delivery until this long after the upload
+    blobs.set(key, {
+      data,
+      contentType,
+      servableAt: Date.now() + pick(opts.propagationMs),
+    });
+    storedBytes += data.length;
+    for (const k of blobs.keys()) {
+      if (storedBytes <= STORE_LIMIT) break;
+      dropBlob(k);
+    }
+  }
+
+  function dropBlob(key) {
+    const b = blobs.get(key);
+    if (!b) return;
+    storedBytes -= b.data.length;
+    blobs.delete(key);
+  }
+
+  function forgetAsset(key) {
+    dropBlob(key);
+    return assets.delete(key);
+  }
+
+  function assetJson({ cloud, resourceType, fields, file, data }) {
+    const version = Math.floor(Date.now() / 1000);
+    const format =
+      (file?.filename ?? '').split('.').pop().toLowerCase() || null;
+    const publicId =
+      fields.public_id ?? randomBytes(10).toString('hex').slice(0, 20);
+    const ext = format && resourceType !== 'raw' ? `.${format}` : '';
+    const assetPath = `${cloud}/${resourceType}/upload/v${version}/${publicId}${ext}`;
+    const json = {
+      asset_id: randomBytes(16).toString('hex'),
+      public_id: publicId,
+      version,
+      version_id: randomBytes(16).toString('hex'),
+      signature: randomBytes(20).toString('hex'),
+      width: null,
+      height: null,
+      format,
+      resource_type: resourceType,
+      created_at: new Date().toISOString().replace(/\.\d+Z$/, 'Z'),
+      tags: [],
+      bytes: data.length,
+      type: 'upload',
+      etag: createHash('md5').update(data).digest('hex'),
+      placeholder: false,
+      url: `${baseUrl()}/${assetPath}`,
+      secure_url: `${baseUrl()}/${assetPath}`,
+      asset_folder: fields.asset_folder ?? '',
+      display_name: publicId.split('/').pop(),
+      original_filename: file ? baseNameNoExt(file.filename) : null,
+      api_key: fields.api_key ?? null,
+    };
+    const key = `${resourceType}/${publicId}`;
+    assets.set(key, json);
+    storeBlob(key, data, file?.contentType ?? 'application/octet-stream');
+    if (['true', '1'].includes(fields.return_delete_token)) {
+      json.delete_token = randomBytes(32).toString('hex');
+      deleteTokens.set(json.delete_token, { key, createdAt: Date.now() });
+    }
+    return json;
+  }
+
+  // POST /v1_1/<cloud>/delete_by_token (token in a urlencoded or multipart body)
+  async function deleteByToken(req, res, log) {
+    const body = await readBody(req);
+    if (!body) return log('-', ' (client went away)');
+    const type = req.headers['content-type'] ?? '';
+    const token = type.startsWith('multipart/')
+      ? parseMultipart(body, type)?.fields.token
+      : new URLSearchParams(body.toString('utf8')).get('token');
+    const entry = token && deleteTokens.get(token);
+    if (!entry || Date.now() - entry.createdAt > opts.deleteTokenTtlMs) {
+      sendError(res, 400, 'Invalid token');
+      return log(400, ' (delete_by_token)');
+    }
+    deleteTokens.delete(token);
+    forgetAsset(entry.key);
+    send(res, 200, { result: 'ok' });
+    log(200, ` deleted ${entry.key}`);
+  }
+
+  // DELETE /v1_1/<cloud>/resources/<type>/upload?public_ids[]=... (Admin API)
+  async function deleteResources(req, res, log, resourceType) {
+    await drain(req);
+    if (opts.apiKey && opts.apiSecret) {
+      const expected = `Basic ${Buffer.from(
+        `${opts.apiKey}:${opts.apiSecret}`
+      ).toString('base64')}`;
+      if (req.headers.authorization !== expected) {
+        sendError(res, 401, 'Invalid credentials');
+        return log(401);
+      }
+    }
+    const ids = new URL(req.url, 'http://mock').searchParams.getAll(
+      'public_ids[]'
+    );
+    const deleted = {};
+    for (const id of ids)
+      deleted[id] = forgetAsset(`${resourceType}/${id}`)
+        ? 'deleted'
+        : 'not_found';
+    send(res, 200, { deleted, partial: false });
+    log(200, ` ${ids.length} id(s)`);
+  }
+
+  // GET /<cloud>/<type>/upload/[<transformation>/]v<version>/<public_id>[.<ext>]
+  // Transformations are accepted but not applied: the original bytes are
+  // served. Each path is a cache MISS the first time and a HIT after that.
+  // A malformed path (e.g. a bad %-escape) is a 400, not a crashed server.
+  async function deliver(req, res, log, route, [, resourceType, rest]) {
+    await drain(req);
+    try {
+      serve(res, log, route, resourceType, rest);
+    } catch (err) {
+      sendError(res, 400, `Bad request: ${err.message}`);
+      log(400, ' (malformed path)');
+    }
+  }
+
+  function serve(res, log, route, resourceType, rest) {
+    const publicId =
+      resourceType === 'raw' ? rest : rest.replace(/\.[^./]+$/, '');
+    const blob = blobs.get(`${resourceType}/${decodeURIComponent(publicId)}`);
+    if (!blob || Date.now() < blob.servableAt) {
+      res.writeHead(404, {
+        'x-cld-error': 'Resource not found',
+        'x-cache': 'MISS',
+        'content-length': 0,
+      });
+      res.end();
+      return log(404, blob ? ' (not propagated yet)' : '');
+    }
+    const firstServed = cached.get(route);
+    if (firstServed === undefined) cached.set(route, Date.now());
+    res.writeHead(200, {
+      'content-type': blob.contentType,
+      'content-length': blob.data.length,
+      'cache-control': 'public, max-age=2592000',
+      'x-cache': firstServed === undefined ? 'MISS' : 'HIT',
+      age:
+        firstServed === undefined
+          ? 0
+          : Math.floor((Date.now() - firstServed) / 1000),
+      server: 'mock-cloudinary',
+    });
+    res.end(blob.data);
+    log(200, ` ${humanBytes(blob.data.length)}`);
+  }
+
+  async function handle(req, res) {
+    const t0 = performance.now();
+    const log = (status, note = '') =>
+      console.log(
+        `${req.method} ${req.url} ${status} ${Math.round(
+          performance.now() - t0
+        )} ms${note}`
+      );
+
+    const route = req.url.split('?')[0];
+    if (
+      req.method === 'POST' &&
+      /^\/v1_1\/[^/]+\/delete_by_token\/?$/.test(route)
+    )
+      return deleteByToken(req, res, log);
+    const admin =
+      /^\/v1_1\/[^/]+\/resources\/(image|video|raw)\/upload\/?$/.exec(route);
+    if (req.method === 'DELETE' && admin)
+      return deleteResources(req, res, log, admin[1]);
+    const asset =
+      /^\/[^/]+\/(image|video|raw)\/upload\/(?:.+\/)?v\d+\/(.+)$/.exec(route);
+    if (req.method === 'GET' && asset)
+      return deliver(req, res, log, route, asset);
+
+    const m = /^\/v1_1\/([^/]+)\/(image|video|raw|auto)\/upload\/?$/.exec(
+      route
+    );
+    if (req.method !== 'POST' || !m) {
+      await drain(req);
+      sendError(res, 404, 'Not found');
+      return log(404);
+    }
+    const [, cloud, resourceType] = m;
+
+    // 420 rate limit: at most N uploads per sliding window
+    if (opts.rateLimit > 0) {
+      const cutoff = Date.now() - opts.rateWindowMs;
+      while (rateHits.length && rateHits[0] < cutoff) rateHits.shift();
+      if (rateHits.length >= opts.rateLimit) {
+        await drain(req);
+        sendError(res, 420, 'Rate Limit Exceeded');
+        return log(420, ' (rate limit)');
+      }
+      rateHits.push(Date.now());
+    }
+
+    // Slow ingest: hold off reading the body
+    const delayMs = pick(opts.delayMs);
+    if (delayMs > 0) {
+      req.pause();
+      await delay(delayMs);
+      req.resume();
+    }
+
+    // Mid-body connection reset: drop the socket after about half the body
+    if (rng() < opts.resetRate) {
+      const expected = Number(req.headers['content-length']) || 0;
+      let seen = 0;
+      req.on('data', (d) => {
+        seen += d.length;
+        if (seen >= expected / 2) req.socket.destroy();
+      });
+      return log('RST', ' (reset mid-body)');
+    }
+
+    const body = await readBody(req);
+    if (!body) return log('-', ' (client went away)');
+
+    // Slow TTFB: server "processing" after the last byte
+    const ttfbMs = pick(opts.ttfbMs);
+    if (ttfbMs > 0) await delay(ttfbMs);
+
+    if (rng() < opts.errorRate) {
+      const status =
+        opts.errorStatus[Math.floor(rng() * opts.errorStatus.length)];
+      sendError(res, status, `Injected ${status}`);
+      return log(status, ' (injected)');
+    }
+
+    const form = parseMultipart(body, req.headers['content-type']);
+    if (!form || !form.file) {
+      sendError(res, 400, 'Missing required parameter - file');
+      return log(400);
+    }
+    // Signed uploads are verified only when the mock knows the credentials
+    if (form.fields.signature && opts.apiSecret) {
+      const { signature, ...params } = form.fields;
+      if (opts.apiKey && params.api_key !== opts.apiKey) {
+        sendError(res, 401, `Unknown API key ${params.api_key ?? ''}`);
+        return log(401);
+      }
+      if (signParams(params, opts.apiSecret) !== signature) {
+        sendError(res, 401, `Invalid Signature ${signature}`);
+        return log(401);
+      }
+    }
+    if (!form.fields.upload_preset && !form.fields.signature) {
+      sendError(
+        res,
+        400,
+        'Upload preset must be specified when using unsigned upload'
+      );
+      return log(400);
+    }
+
+    // Chunked upload: buffer parts per X-Unique-Upload-Id until the last range
+    const range = /^bytes (\d+)-(\d+)\/(\d+)$/.exec(
+      req.headers['content-range'] ?? ''
+    );
+    let data = form.file.data;
+    if (range) {
+      const uploadId = req.headers['x-unique-upload-id'] ?? 'anonymous';
+      const [start, end, total] = range.slice(1).map(Number);
+      if (end - start + 1 !== data.length) {
+        sendError(res, 400, 'Content-Range does not match chunk size');
+        return log(400);
+      }
+      const up = chunkedUploads.get(uploadId) ?? { parts: [], received: 0 };
+      up.parts.push({ start, data });
+      up.received += data.length;
+      up.touchedAt = Date.now();
+      chunkedUploads.set(uploadId, up);
+      if (end + 1 < total) {
+        send(res, 200, { done: false, bytes: up.received });
+        return log(
+          200,
+          ` chunk ${humanBytes(up.received)}/${humanBytes(total)}`
+        );
+      }
+      chunkedUploads.delete(uploadId);
+      data = Buffer.concat(
+        up.parts.sort((a, b) => a.start - b.start).map((p) => p.data)
+      );
+    }
+
+    // Silent truncation: store and report only part of the file, as a
+    // storage backend that lost the tail of a mobile upload would
+    const truncated = rng() < opts.truncateRate;
+    if (truncated)
+      data = data.subarray(0, Math.floor(data.length * (0.5 + rng() * 0.4)));
+
+    const json = assetJson({
+      cloud,
+      resourceType: resourceType === 'auto' ? 'image' : resourceType,
+      fields: form.fields,
+      file: form.file,
+      data,
+    });
+    const dims = await imageSize(async (pos, len) =>
+      data.subarray(pos, pos + len)
+    );
+    if (dims) Object.assign(json, dims);
+    send(res, 200, json);
+    log(200, ` ${humanBytes(data.length)}${truncated ? ' (truncated)' : ''}`);
+  }
+
+  // A bug in a handler answers 500 instead of taking the server down mid-run
+  const server = http.createServer(async (req, res) => {
+    try {
+      await handle(req, res);
+    } catch (err) {
+      console.error(`${req.method} ${req.url} failed: ${err.stack}`);
+      if (res.headersSent) res.destroy();
+      else sendError(res, 500, 'Mock server error');
+    }
+  });
+
+  // Uploads whose last chunk never comes (client gave up, run interrupted)
+  const sweep = setInterval(() => {
+    const cutoff = Date.now() - opts.chunkTtlMs;
+    for (const [id, up] of chunkedUploads)
+      if (up.touchedAt < cutoff) chunkedUploads.delete(id);
+  }, Math.min(opts.chunkTtlMs, 60_000));
+  sweep.unref();
+  server.on('close', () => clearInterval(sweep));
+  return server;
+}
+
+export async function runMockServer(args) {
+  const opts = {
+    host: String(args.host ?? '127.0.0.1'),
+    port: Number(args.port ?? 8787),
+    publicUrl: args['public-url'],
+    seed: args.seed,
+    delayMs: parseRange(args['delay-ms'], 'delay-ms'),
+    ttfbMs: parseRange(args['ttfb-ms'], 'ttfb-ms'),
+    propagationMs: parseRange(args['propagation-ms'], 'propagation-ms'),
+    errorRate: parseRate(args['error-rate'], 'error-rate'),
+    errorStatus: String(args['error-status'] ?? '500')
+      .split(',')
+      .map(Number)
+      .filter((n) => n >= 400 && n <= 599),
+    resetRate: parseRate(args['reset-rate'], 'reset-rate'),
+    truncateRate: parseRate(args['truncate-rate'], 'truncate-rate'),
+    rateLimit: Number(args['rate-limit'] ?? 0),
+    rateWindowMs: Number(args['rate-window-ms'] ?? 60_000),
+    apiKey: args['api-key'],
+    apiSecret: args['api-secret'],
+    deleteTokenTtlMs: Number(args['delete-token-ttl-ms'] ?? 600_000),
+  };
+  if (!opts.errorStatus.length)
+    throw new UsageError('mock-server: --error-status needs 4xx/5xx codes');
+
+  const server = createMockServer(opts);
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(opts.port, opts.host, resolve);
+  });
+  const base = `http://${opts.host}:${server.address().port}`;
+  console.log(`Mock Cloudinary listening on ${base}`);
+  console.log(`Point the tester at it with: --api-base ${base}`);
+  console.log(
+    `Faults: delay=${opts.delayMs.join('-')} ms ttfb=${opts.ttfbMs.join(
+      '-'
+    )} ms errors=${opts.errorRate} (${opts.errorStatus.join(',')}) resets=${
+      opts.resetRate
+    } truncations=${opts.truncateRate} propagation=${opts.propagationMs.join(
+      '-'
+    )} ms rateLimit=${opts.rateLimit || 'off'}/${opts.rateWindowMs} ms seed=${
+      opts.seed ?? 'random'
+    }`
+  );
+}
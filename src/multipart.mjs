@@ -0,0 +1,108 @@
+// ---------- Streaming multipart/form-data body
+// Built by hand instead of with FormData so every byte undici pulls from the
+// body can be counted as it goes out. All parts but the file are small
+// strings, so Content-Length is known up front and the request is not sent
+// with chunked transfer encoding. The layout (boundary, field order, part
+// headers) follows the client profile's shape, see clients.mjs.
+
+// With pace (--throttle), the body goes out in slices of this size
+const PACE_SLICE = 16 * 1024;
+
+// Same escaping as the FormData serializer
+const escapeName = (s) =>
+  s.replace(/\n/g, '%0A').replace(/\r/g, '%0D').replace(/"/g, '%22');
+
+// fields: { name: value } (null/undefined skipped); file: { blob, name }
+// shape: a client profile (boundary(), fileFirst, lowerCaseHeaders, partLength)
+// onBytes(n) is called once the consumer has taken n more bytes.
+// pace(n), when given, is awaited before n more bytes are handed out.
+export function multipartBody(
+  fields,
+  file,
+  { shape, onBytes = () => {}, pace = null }
+) {
+  const boundary = shape.boundary();
+  const headerName = (s) => (shape.lowerCaseHeaders ? s.toLowerCase() : s);
+  const partHead = (disposition, type, size) =>
+    Buffer.from(
+      [
+        `--${boundary}`,
+        `${headerName('Content-Disposition')}: form-data; ${disposition}`,
+        type && `${headerName('Content-Type')}: ${type}`,
+        shape.partLength && `${headerName('Content-Length')}: ${size}`,
+      ]
+        .filter(Boolean)
+        .map((l) => `${l}\r\n`)
+        .join('') + '\r\n'
+    );
+  const crlf = Buffer.from('\r\n');
+  const fileType = file.blob.type || 'application/octet-stream';
+
+  // Buffers, and the file's blob in its place
+  const fieldParts = [];
+  // The parts without the file bytes, as HAR postData params
+  const fieldParams = [];
+  for (const [k, v] of Object.entries(fields)) {
+    if (v === undefined || v === null) continue;
+    const value = Buffer.from(String(v));
+    fieldParams.push({ name: k, value: String(v) });
+    fieldParts.push(
+      partHead(`name="${escapeName(k)}"`, null, value.length),
+      value,
+      crlf
+    );
+  }
+  const fileParts = [
+    partHead(
+      `name="file"; filename="${escapeName(file.name)}"`,
+      fileType,
+      file.blob.size
+    ),
+    file.blob,
+    crlf,
+  ];
+  const fileParam = {
+    name: 'file',
+    fileName: file.name,
+    contentType: fileType,
+  };
+  const parts = shape.fileFirst
+    ? [...fileParts, ...fieldParts]
+    : [...fieldParts, ...fileParts];
+  const params = shape.fileFirst
+    ? [fileParam, ...fieldParams]
+    : [...fieldParams, fileParam];
+  parts.push(Buffer.from(`--${boundary}--\r\n`));
+  const length = parts.reduce(
+    (n, p) => n + (Buffer.isBuffer(p) ? p.length : p.size),
+    0
+  );
+
+  async function* out(buf) {
+    if (!pace) {
+      yield buf;
+      onBytes(buf.length);
+      return;
+    }
+    for (let i = 0; i < buf.length; i += PACE_SLICE) {
+      const slice = buf.subarray(i, i + PACE_SLICE);
+      await pace(slice.length);
+      yield slice;
+      onBytes(slice.length);
+    }
+  }
+
+  async function* body() {
+    for (const p of parts) {
+      if (Buffer.isBuffer(p)) yield* out(p);
+      else for await (const chunk of p.stream()) yield* out(chunk);
+    }
+  }
+
+  return {
+    body: body(),
+    length,
+    contentType: `multipart/form-data; boundary=${boundary}`,
+    params,
+  };
+}
@@ -0,0 +1,185 @@
+import { delay } from './util.mjs';
+
+// ---------- Load profiles
+// batch: closed loop; N batches of the whole file set with a pause between
+// ramp:  closed loop; the number of workers grows every step
+// rate:  open loop; uploads start on a fixed schedule however long earlier
+//        ones take, so a slow server shows up as latency, not fewer samples
+// soak:  batches back to back (with the batch delay) until the duration ends
+//
+// Drivers get their jobs from makePass(batchNo), which returns one shuffled
+// pass over the file set, and hand each job to runJob(job, ctx) with
+// ctx.interval set. interval(index, meta) registers an interval once.
+// batchEnd(batchNo, results, elapsedMs) follows every batch that finished.
+// Once hooks.signal aborts (Ctrl-C) no new work starts; runJob returns
+// { skipped: true } for jobs that were queued. opts.resumed ({ batch,
+// elapsedMs } of the last finished batch) makes batch and soak continue
+// after it.
+
+export const PROFILES = ['batch', 'ramp', 'rate', 'soak'];
+
+const now = () => performance.now();
+
+// Endless job supply: a new shuffled pass whenever the previous one ran out
+function jobCycle(makePass) {
+  let batchNo = 0;
+  let queue = [];
+  return () => {
+    if (!queue.length) queue = makePass(++batchNo);
+    return queue.shift();
+  };
+}
+
+// False when the batch was cut short by the signal
+async function endBatch(batchNo, results, elapsedMs, hooks) {
+  const okCount = results.filter((r) => r.ok).length;
+  if (hooks.signal?.aborted) {
+    const finished = results.filter((r) => !r.skipped && !r.aborted).length;
+    console.log(
+      `Batch ${batchNo} interrupted: ${finished}/${results.length} finished, ${okCount} succeeded.`
+    );
+    return false;
+  }
+  console.log(
+    `Batch ${batchNo} complete: ${okCount}/${results.length} succeeded.`
+  );
+  await hooks.batchEnd(batchNo, results, Math.round(elapsedMs));
+  hooks.tick();
+  return true;
+}
+
+async function runBatch(opts, hooks) {
+  const { batches, delayMs, concurrency, resumed } = opts;
+  const meta = (b) => ({ label: `batch ${b + 1}`, concurrency });
+  // Intervals of the batches a resumed run already has results for
+  for (let b = 0; b < (resumed?.batch ?? 0); b++) hooks.interval(b, meta(b));
+  const t0 = now() - (resumed?.elapsedMs ?? 0);
+  for (let b = resumed?.batch ?? 0; b < batches; b++) {
+    const batchNo = b + 1;
+    console.log(`Starting batch ${batchNo}/${batches}`);
+    hooks.interval(b, meta(b));
+    const results = await hooks.mapPool(
+      hooks.makePass(batchNo),
+      concurrency,
+      (job) => hooks.runJob(job, { interval: b })
+    );
+    if (!(await endBatch(batchNo, results, now() - t0, hooks))) break;
+    if (b < batches - 1 && delayMs > 0) await delay(delayMs, hooks.signal);
+    if (hooks.signal?.aborted) break;
+  }
+}
+
+async function runSoak(opts, hooks) {
+  const { durationMs, intervalMs, delayMs, concurrency, resumed } = opts;
+  // A resumed soak picks up its clock where the last finished batch left it
+  const t0 = now() - (resumed?.elapsedMs ?? 0);
+  const deadline = t0 + durationMs;
+  const register = (index) =>
+    hooks.interval(index, timeLabel(index, intervalMs, { concurrency }));
+  for (let i = 0; i * intervalMs < (resumed?.elapsedMs ?? 0); i++) register(i);
+  const intervalAt = () => {
+    const index = Math.floor((now() - t0) / intervalMs);
+    register(index);
+    return index;
+  };
+  for (let batchNo = (resumed?.batch ?? 0) + 1; now() < deadline; batchNo++) {
+    const left = Math.max(0, Math.round((deadline - now()) / 1000));
+    console.log(`Starting batch ${batchNo} (${left}s of soak left)`);
+    const results = await hooks.mapPool(
+      hooks.makePass(batchNo),
+      concurrency,
+      (job) => hooks.runJob(job, { interval: intervalAt() })
+    );
+    if (!(await endBatch(batchNo, results, now() - t0, hooks))) break;
+    if (delayMs > 0 && now() + delayMs < deadline)
+      await delay(delayMs, hooks.signal);
+    if (hooks.signal?.aborted) break;
+  }
+}
+
+async function runRamp(opts, hooks) {
+  const { rampFrom, rampTo, rampStep, stepMs } = opts;
+  const steps = [];
+  for (let c = rampFrom; c < rampTo; c += rampStep) steps.push(c);
+  steps.push(rampTo);
+
+  const nextJob = jobCycle(hooks.makePass);
+  const t0 = now();
+  const deadline = t0 + steps.length * stepMs;
+  let step = 0;
+  const worker = async () => {
+    while (now() < deadline && !hooks.signal?.aborted)
+      await hooks.runJob(nextJob(), { interval: step });
+  };
+  const workers = [];
+  for (const [k, c] of steps.entries()) {
+    step = k;
+    console.log(`Ramp step ${k + 1}/${steps.length}: concurrency ${c}`);
+    hooks.interval(k, { label: `step ${k + 1} c=${c}`, concurrency: c });
+    while (workers.length < c) workers.push(worker());
+    await delay(Math.max(0, t0 + (k + 1) * stepMs - now()), hooks.signal);
+    hooks.tick();
+    if (hooks.signal?.aborted) break;
+  }
+  await Promise.all(workers);
+}
+
+async function runRate(opts, hooks) {
+  const { rate, durationMs, intervalMs, maxInFlight } = opts;
+  const nextJob = jobCycle(hooks.makePass);
+  const inFlight = new Set();
+  const t0 = now();
+  let lastInterval = -1;
+  for (let i = 0; ; i++) {
+    const offset = (i * 1000) / rate;
+    if (offset >= durationMs) break;
+    const wait = t0 + offset - now();
+    if (wait > 0) await delay(wait, hooks.signal);
+    if (hooks.signal?.aborted) break;
+    const index = Math.floor(offset / intervalMs);
+    if (index !== lastInterval) {
+      hooks.interval(index, timeLabel(index, intervalMs, { rate }));
+      if (lastInterval >= 0) hooks.tick();
+      lastInterval = index;
+    }
+    // Arrivals beyond the cap are counted, not queued, to keep the schedule
+    if (inFlight.size >= maxInFlight) {
+      hooks.dropped(index);
+      continue;
+    }
+    const p = hooks
+      .runJob(nextJob(), {
+        interval: index,
+        lagMs: Math.round(now() - (t0 + offset)),
+      })
+      // Nothing awaits a job until the end, so a failure outside the upload
+      // (a log write, say) is reported here instead of killing the run
+      .catch((err) => {
+        console.error(`Upload job failed: ${err.message}`);
+        return { ok: false, error: err };
+      })
+      .finally(() => inFlight.delete(p));
+    inFlight.add(p);
+  }
+  await Promise.all(inFlight);
+}
+
+function timeLabel(index, intervalMs, extra) {
+  const s = (ms) => `${+(ms / 1000).toFixed(1)}s`;
+  return {
+    label: `${s(index * intervalMs)}-${s((index + 1) * intervalMs)}`,
+    startMs: index * intervalMs,
+    ...extra,
+  };
+}
+
+// hooks: { makePass, runJob, mapPool, interval, dropped, tick, batchEnd, signal }
+export function runProfile(profile, opts, hooks) {
+  const driver = {
+    batch: runBatch,
+    ramp: runRamp,
+    rate: runRate,
+    soak: runSoak,
+  }[profile];
+  return driver(opts, hooks);
+}
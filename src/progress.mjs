@@ -0,0 +1,53 @@
+import { mbps } from './util.mjs';
+
+// ---------- Upload progress sampling
+// Counts request-body bytes as undici takes them and keeps the cumulative
+// total at the end of every intervalMs tick, from the first body byte on.
+// Bytes are counted when handed to the socket, so the first ticks run ahead
+// of the wire by about one socket send buffer.
+
+export function createProgress(intervalMs = 100) {
+  let t0 = null;
+  let lastAt = null;
+  let bytes = 0;
+  let firstMbAt = null;
+  let longestStall = 0;
+  const ticks = []; // cumulative bytes at the end of tick i
+
+  return {
+    add(n) {
+      const t = performance.now();
+      if (t0 === null) t0 = lastAt = t;
+      longestStall = Math.max(longestStall, t - lastAt);
+      lastAt = t;
+      const tick = Math.floor((t - t0) / intervalMs);
+      while (ticks.length < tick) ticks.push(bytes); // idle ticks
+      bytes += n;
+      ticks[tick] = bytes;
+      if (firstMbAt === null && bytes >= 1024 * 1024) firstMbAt = t;
+    },
+
+    // { series, metrics } or null when nothing was sent
+    result() {
+      if (t0 === null) return null;
+      const elapsedMs = lastAt - t0;
+      // Peak over a 1 s window; single ticks are too noisy while buffers fill
+      const w = Math.max(1, Math.round(1000 / intervalMs));
+      let peak = mbps(bytes, elapsedMs);
+      for (let i = w - 1; i < ticks.length && ticks.length > w; i++) {
+        const sent = ticks[i] - (i >= w ? ticks[i - w] : 0);
+        peak = Math.max(peak, mbps(sent, w * intervalMs));
+      }
+      return {
+        series: { intervalMs, bytes: ticks.slice() },
+        metrics: {
+          elapsedMs: Math.round(elapsedMs),
+          timeToFirstMbMs:
+            firstMbAt === null ? null : Math.round(firstMbAt - t0),
+          longestStallMs: Math.round(longestStall),
+          peakMbps: Number(peak.toFixed(2)),
+        },
+      };
+    },
+  };
+}
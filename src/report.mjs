@@ -0,0 +1,277 @@
+import fs from 'fs/promises';
+import path from 'path';
+import {
+  connectionKey,
+  pushStats,
+  summarizeGroup,
+  buildOverall,
+  printOverall,
+  printGroup,
+} from './stats.mjs';
+import { sizeBucket, sizeBucketFloor } from './files.mjs';
+import { buildHar } from './har.mjs';
+import { UsageError } from './util.mjs';
+
+// ---------- Offline report: rebuild summaries from run-*.ndjson logs
+
+// Group-by keys available to `report --group-by`. Each maps a final upload
+// record to its group key; `size` is only meaningful when grouping by file.
+const GROUPERS = {
+  file: { title: 'Per File', key: (r) => r.file, size: (r) => r.size },
+  batch: {
+    title: 'Per Batch',
+    key: (r, multi) => (multi ? `${r.runId}#${r.batch}` : r.batch),
+  },
+  // Corrupt uploads got a 200; keep them apart from the real 200s
+  status: {
+    title: 'Per HTTP Status',
+    key: (r) => (r.status === 'corrupt' ? 'corrupt' : r.httpStatus ?? r.status),
+  },
+  ip: {
+    title: 'Per Remote IP',
+    key: (r) => r.timings?.remoteIp ?? r.errorDetails?.address ?? 'n/a',
+  },
+  alpn: { title: 'Per ALPN', key: (r) => r.timings?.alpn ?? 'n/a' },
+  auth: { title: 'Per Auth', key: (r) => r.auth ?? 'unsigned' },
+  conn: {
+    title: 'Per Connection (cold = new socket)',
+    key: (r) => connectionKey(r.timings),
+  },
+  throttle: { title: 'Per Throttle', key: (r) => r.throttle ?? 'off' },
+  client: { title: 'Per Client Profile', key: (r) => r.client ?? 'script' },
+  interval: {
+    title: 'Per Interval',
+    key: (r, multi) =>
+      r.interval === undefined
+        ? 'n/a'
+        : multi
+        ? `${r.runId}#${r.interval}`
+        : r.interval,
+  },
+  size: {
+    title: 'Per Size Bucket',
+    key: (r) => sizeBucket(r.size),
+    sort: (a, b) => sizeBucketFloor(a.key) - sizeBucketFloor(b.key),
+  },
+};
+const FORMATS = ['text', 'json', 'csv', 'har'];
+
+// Parse one or more NDJSON logs. A run killed mid-write can leave a truncated
+// last line, so unparsable lines are counted and skipped instead of failing.
+export async function loadRecords(paths) {
+  const records = [];
+  let skipped = 0;
+  for (const p of paths) {
+    const text = await fs.readFile(p, 'utf8').catch((err) => {
+      throw err.code === 'ENOENT' ? new UsageError(`${p}: not found`) : err;
+    });
+    for (const line of text.split('\n')) {
+      if (!line.trim()) continue;
+      try {
+        records.push(JSON.parse(line));
+      } catch {
+        skipped++;
+      }
+    }
+  }
+  if (skipped > 0)
+    console.warn(`Warning: skipped ${skipped} unparsable log line(s).`);
+  return records;
+}
+
+// Upload attempt records carry a status and no event; older logs (before
+// retries) have no attempt/final fields, so every record is a final attempt.
+export function isUploadRecord(r) {
+  return !r.event && typeof r.status === 'string';
+}
+
+// A resumed run (see resume.mjs) runs the batch it was interrupted in again;
+// its resume event drops the earlier upload and chunk records of that batch
+// and later ones.
+export function dropRedone(records) {
+  const out = [];
+  for (const r of records) {
+    if (r.event === 'resume')
+      for (let i = out.length - 1; i >= 0; i--) {
+        const o = out[i];
+        if (
+          o.runId === r.runId &&
+          o.batch >= r.fromBatch &&
+          (isUploadRecord(o) || o.event === 'chunk')
+        )
+          out.splice(i, 1);
+      }
+    out.push(r);
+  }
+  return out;
+}
+
+export function buildReport(records, groupBys = ['file']) {
+  const uploads = dropRedone(records).filter(isUploadRecord);
+  const runIds = [...new Set(records.map((r) => r.runId).filter(Boolean))];
+  const multi = runIds.length > 1;
+  const maps = Object.fromEntries(groupBys.map((g) => [g, new Map()]));
+  const perFile = new Map();
+  const exceptions = [];
+  let aborted = 0;
+
+  for (const r of uploads) {
+    // Cut off by Ctrl-C: neither a success nor a failure of the service
+    if (r.status === 'aborted') {
+      aborted++;
+      continue;
+    }
+    if (r.status === 'exception')
+      exceptions.push({
+        batch: r.batch,
+        file: r.file,
+        attempt: r.attempt ?? 1,
+        error: r.error,
+        ...r.errorDetails,
+      });
+    if (r.final === false) continue;
+    const attempts = r.attempt ?? 1;
+    const rec = {
+      ok: r.status === 'ok',
+      corrupt: r.status === 'corrupt',
+      firstTry: r.status === 'ok' && attempts === 1,
+      attempts,
+      durationMs: r.durationMs,
+      timings: r.timings,
+    };
+    pushStats(perFile, r.file, r.size, rec);
+    for (const g of groupBys) {
+      const grouper = GROUPERS[g];
+      pushStats(maps[g], grouper.key(r, multi), grouper.size?.(r), rec);
+    }
+  }
+
+  const overall = buildOverall(perFile, exceptions);
+  overall.totals.aborted = aborted;
+  return {
+    runIds,
+    overall,
+    perFile: summarizeGroup(perFile),
+    groups: Object.fromEntries(
+      groupBys.map((g) => {
+        const rows = summarizeGroup(maps[g]);
+        return [g, GROUPERS[g].sort ? rows.sort(GROUPERS[g].sort) : rows];
+      })
+    ),
+  };
+}
+
+const CSV_STATS = ['duration', 'upload', 'ttfb', 'connect', 'dns'];
+const CSV_FIELDS = ['count', 'avg', 'p50', 'p95', 'min', 'max'];
+
+function csvCell(v) {
+  if (v === null || v === undefined) return '';
+  const s = String(v);
+  return /[",\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+function toCsv(report) {
+  const header = [
+    'group',
+    'key',
+    'size',
+    'ok',
+    'okFirstTry',
+    'fail',
+    'corrupt',
+    'attempts',
+  ];
+  for (const st of CSV_STATS)
+    for (const f of CSV_FIELDS) header.push(`${st}_${f}`);
+  const lines = [header.join(',')];
+  const row = (group, s) => {
+    const cells = [
+      group,
+      s.key,
+      s.size,
+      s.ok,
+      s.okFirstTry,
+      s.fail,
+      s.corrupt,
+      s.attempts,
+    ];
+    for (const st of CSV_STATS)
+      for (const f of CSV_FIELDS) cells.push(s[st][f]);
+    lines.push(cells.map(csvCell).join(','));
+  };
+  const t = report.overall.totals;
+  row('overall', {
+    key: 'all',
+    size: null,
+    ok: t.ok,
+    okFirstTry: t.okFirstTry,
+    fail: t.fail,
+    corrupt: t.corrupt,
+    attempts: t.attempts,
+    ...report.overall,
+  });
+  for (const [g, rows] of Object.entries(report.groups))
+    for (const s of rows) row(g, s);
+  return lines.join('\n') + '\n';
+}
+
+export async function runReport(args) {
+  const logs = args._.slice(1);
+  if (!logs.length)
+    throw new UsageError('report: pass one or more run-*.ndjson logs.');
+  const groupBys = String(args['group-by'] ?? 'file')
+    .split(',')
+    .map((g) => g.trim())
+    .filter(Boolean);
+  for (const g of groupBys) {
+    if (!GROUPERS[g])
+      throw new UsageError(
+        `report: unknown --group-by "${g}". Use ${Object.keys(GROUPERS).join(
+          '|'
+        )}.`
+      );
+  }
+  const format = String(args.format ?? 'text');
+  if (!FORMATS.includes(format))
+    throw new UsageError(
+      `report: unknown --format "${format}". Use ${FORMATS.join('|')}.`
+    );
+
+  const records = await loadRecords(logs);
+  if (format === 'har') {
+    const har = buildHar(records);
+    if (!har.log.entries.length)
+      console.warn(
+        'Warning: no request details in these logs (written before HAR support?).'
+      );
+    return writeOut(args.out, JSON.stringify(har, null, 2) + '\n');
+  }
+  const report = buildReport(records, groupBys);
+
+  if (format === 'text') {
+    console.log(`Logs: ${logs.map((l) => path.basename(l)).join(', ')}`);
+    console.log(`Runs: ${report.runIds.join(', ') || 'n/a'}`);
+    printOverall(report.overall);
+    for (const g of groupBys) printGroup(GROUPERS[g].title, report.groups[g]);
+    return;
+  }
+
+  const body =
+    format === 'json'
+      ? JSON.stringify(
+          { logs: logs.map((l) => path.resolve(l)), ...report },
+          null,
+          2
+        ) + '\n'
+      : toCsv(report);
+  await writeOut(args.out, body);
+}
+
+async function writeOut(out, body) {
+  if (out) {
+    await fs.writeFile(out, body, 'utf8');
+    console.log(`Report written: ${out}`);
+  } else {
+    process.stdout.write(body);
+  }
+}
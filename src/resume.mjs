@@ -0,0 +1,63 @@
+import { loadRecords, isUploadRecord, dropRedone } from './report.mjs';
+
+// ---------- Resuming an interrupted run (--resume)
+// A run logs a batchEnd event after every batch it finished. --resume reads
+// the run's log, takes the options from its start event and continues after
+// the last finished batch with the same runId, appending to the same log. A
+// batch that was cut short is run again from the start; the resume event
+// marks its earlier records as redone so reports don't count them twice.
+
+export const RESUMABLE = ['batch', 'soak'];
+
+// -> { logPath, runId, start, values, lastBatch, elapsedMs, uploads }
+// values: the run's options as logged (secrets were redacted, so those have
+// to come from the flags or the environment again)
+// uploads: upload records of the finished batches, every attempt
+export async function loadResume(logPath) {
+  if (typeof logPath !== 'string')
+    throw new Error('--resume needs the run log, e.g. out/run-<id>.ndjson');
+  let records;
+  try {
+    records = await loadRecords([logPath]);
+  } catch (err) {
+    throw new Error(
+      `--resume ${logPath}: ${
+        err.code === 'ENOENT' ? 'not found' : err.message
+      }`
+    );
+  }
+  const start = records.find((r) => r.event === 'start');
+  if (!start)
+    throw new Error(`--resume ${logPath}: no start event; is this a run log?`);
+  const { runId } = start;
+  if (!RESUMABLE.includes(start.profile))
+    throw new Error(
+      `--resume: run ${runId} uses the ${
+        start.profile
+      } profile; only ${RESUMABLE.join(' and ')} runs can be resumed`
+    );
+  const values = Object.fromEntries(
+    Object.entries(start.config?.values ?? {}).filter(([, v]) => v !== '***')
+  );
+
+  const ended = records.filter((r) => r.event === 'batchEnd');
+  const last = ended[ended.length - 1];
+  const lastBatch = last?.batch ?? 0;
+  const elapsedMs = last?.elapsedMs ?? 0;
+  // The last session ended by itself (not interrupted): nothing left to do
+  const sessionStarts = records.filter(
+    (r) => r.event === 'start' || r.event === 'resume'
+  );
+  const lastEnd = records.findLast((r) => r.event === 'end');
+  if (
+    lastEnd &&
+    !lastEnd.interrupted &&
+    records.indexOf(lastEnd) > records.indexOf(sessionStarts.at(-1))
+  )
+    throw new Error(`--resume: run ${runId} already finished`);
+
+  const uploads = dropRedone(records).filter(
+    (r) => isUploadRecord(r) && r.runId === runId && r.batch <= lastBatch
+  );
+  return { logPath, runId, start, values, lastBatch, elapsedMs, uploads };
+}
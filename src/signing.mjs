@@ -0,0 +1,42 @@
+import { createHash } from 'node:crypto';
+
+// ---------- Signed upload helpers
+
+// cloudinary://<api_key>:<api_secret>@<cloud_name>
+export function parseCloudinaryUrl(url) {
+  if (!url) return null;
+  let u;
+  try {
+    u = new URL(url);
+  } catch {
+    throw new Error('CLOUDINARY_URL is not a valid URL');
+  }
+  if (u.protocol !== 'cloudinary:')
+    throw new Error('CLOUDINARY_URL must start with cloudinary://');
+  return {
+    apiKey: decodeURIComponent(u.username),
+    apiSecret: decodeURIComponent(u.password),
+    cloudName: u.hostname,
+  };
+}
+
+// Cloudinary request signature: SHA-1 over "k1=v1&k2=v2" of the upload
+// params sorted by name, with the API secret appended. file, api_key,
+// cloud_name and resource_type are never signed; empty values are skipped.
+export function signParams(params, apiSecret) {
+  const excluded = new Set(['file', 'api_key', 'cloud_name', 'resource_type']);
+  const toSign = Object.keys(params)
+    .filter(
+      (k) =>
+        !excluded.has(k) &&
+        params[k] !== undefined &&
+        params[k] !== null &&
+        params[k] !== ''
+    )
+    .sort()
+    .map((k) => `${k}=${params[k]}`)
+    .join('&');
+  return createHash('sha1')
+    .update(toSign + apiSecret)
+    .digest('hex');
+}
@@ -0,0 +1,211 @@
+import { humanBytes } from './util.mjs';
+
+// ---------- Stats helpers
+export function summarize(arr) {
+  const n = arr.length;
+  if (!n)
+    return { count: 0, avg: null, p50: null, p95: null, min: null, max: null };
+  const s = arr.slice().sort((a, b) => a - b);
+  const avg = s.reduce((a, b) => a + b, 0) / n;
+
+  // Percentile calculation with linear interpolation
+  const percentile = (p) => {
+    const pos = (p / 100) * (n - 1);
+    const base = Math.floor(pos);
+    const rest = pos - base;
+    if (s[base + 1] !== undefined) {
+      return Math.round(s[base] + rest * (s[base + 1] - s[base]));
+    }
+    return s[base];
+  };
+
+  return {
+    count: n,
+    avg: +avg.toFixed(2),
+    p50: percentile(50),
+    p95: percentile(95),
+    min: s[0],
+    max: s[n - 1],
+  };
+}
+
+// One entry per logical upload (the final attempt when retrying).
+// rec: { ok, corrupt, firstTry, attempts, durationMs, timings }
+// Corrupt uploads (failed --verify) count as failures and also as corrupt.
+export function pushStats(map, key, size, rec) {
+  if (!map.has(key))
+    map.set(key, {
+      size,
+      ok: 0,
+      okFirstTry: 0,
+      fail: 0,
+      corrupt: 0,
+      attempts: 0,
+      durations: [],
+      uploadMs: [],
+      ttfbMs: [],
+      connectMs: [],
+      dnsMs: [],
+      alpn: new Set(),
+      remoteIps: new Set(),
+    });
+  const s = map.get(key);
+  if (rec.ok) s.ok++;
+  else s.fail++;
+  if (rec.corrupt) s.corrupt++;
+  if (rec.firstTry) s.okFirstTry++;
+  s.attempts += rec.attempts ?? 1;
+  // Only push finite values to avoid skewing statistics
+  if (Number.isFinite(rec.durationMs)) s.durations.push(rec.durationMs);
+  const t = rec.timings || {};
+  if (Number.isFinite(t.uploadMs)) s.uploadMs.push(t.uploadMs);
+  if (Number.isFinite(t.ttfbMs)) s.ttfbMs.push(t.ttfbMs);
+  if (Number.isFinite(t.connectMs)) s.connectMs.push(t.connectMs);
+  if (Number.isFinite(t.dnsMs)) s.dnsMs.push(t.dnsMs);
+  // Connection info is shared between uploads; kept as sets, not samples
+  if (t.alpn) s.alpn.add(t.alpn);
+  if (t.remoteIp) s.remoteIps.add(t.remoteIp);
+}
+
+// Cold: the request opened its socket; warm: it reused a kept-alive one
+export const connectionKey = (timings) =>
+  timings?.reused === true
+    ? 'warm'
+    : timings?.reused === false
+    ? 'cold'
+    : 'n/a';
+
+export function summarizeGroup(map) {
+  const out = [];
+  for (const [k, v] of map.entries()) {
+    out.push({
+      key: k,
+      size: v.size,
+      ok: v.ok,
+      okFirstTry: v.okFirstTry,
+      fail: v.fail,
+      corrupt: v.corrupt,
+      attempts: v.attempts,
+      duration: summarize(v.durations.filter(Number.isFinite)),
+      upload: summarize(v.uploadMs.filter(Number.isFinite)),
+      ttfb: summarize(v.ttfbMs.filter(Number.isFinite)),
+      connect: summarize(v.connectMs.filter(Number.isFinite)),
+      dns: summarize(v.dnsMs.filter(Number.isFinite)),
+    });
+  }
+  // Sort by size ascending if sizes available, else by key
+  out.sort(
+    (a, b) =>
+      (a.size ?? 0) - (b.size ?? 0) ||
+      String(a.key).localeCompare(String(b.key), undefined, { numeric: true })
+  );
+  return out;
+}
+
+// Overall stats from the raw collections of every group
+export function buildOverall(map, exceptions = []) {
+  const allD = [];
+  const allU = [];
+  const allT = [];
+  const allC = [];
+  const allDns = [];
+  const alpnSet = new Set();
+  const remoteIps = new Set();
+  let tried = 0,
+    ok = 0,
+    okFirstTry = 0,
+    corrupt = 0,
+    attempts = 0;
+  for (const v of map.values()) {
+    allD.push(...v.durations.filter(Number.isFinite));
+    allU.push(...v.uploadMs.filter(Number.isFinite));
+    allT.push(...v.ttfbMs.filter(Number.isFinite));
+    allC.push(...v.connectMs.filter(Number.isFinite));
+    allDns.push(...v.dnsMs.filter(Number.isFinite));
+    v.alpn.forEach((a) => alpnSet.add(a));
+    v.remoteIps.forEach((ip) => remoteIps.add(ip));
+    tried += v.ok + v.fail;
+    ok += v.ok;
+    okFirstTry += v.okFirstTry;
+    corrupt += v.corrupt;
+    attempts += v.attempts;
+  }
+  return {
+    totals: {
+      tried,
+      ok,
+      okFirstTry,
+      okAfterRetry: ok - okFirstTry,
+      fail: tried - ok,
+      corrupt,
+      attempts,
+      retries: attempts - tried,
+      exceptions: exceptions.length,
+    },
+    duration: summarize(allD),
+    upload: summarize(allU),
+    ttfb: summarize(allT),
+    connect: summarize(allC),
+    dns: summarize(allDns),
+    distinctRemoteIPs: [...remoteIps],
+    alpnSeen: [...alpnSet],
+    exceptionDetails: exceptions,
+  };
+}
+
+// Concise console summary
+export function printOverall(overall) {
+  console.log('\n=== Overall ===');
+  console.log(
+    `Tried: ${overall.totals.tried}  OK: ${overall.totals.ok}  Fail: ${
+      overall.totals.fail
+    }  Corrupt: ${overall.totals.corrupt}  Exceptions: ${
+      overall.totals.exceptions
+    }${overall.totals.aborted ? `  Aborted: ${overall.totals.aborted}` : ''}`
+  );
+  console.log(
+    `First-try OK: ${overall.totals.okFirstTry}  OK after retry: ${overall.totals.okAfterRetry}  Attempts: ${overall.totals.attempts}  Retries: ${overall.totals.retries}`
+  );
+  console.log(
+    `Duration ms: avg=${overall.duration.avg} p50=${overall.duration.p50} p95=${overall.duration.p95} min=${overall.duration.min} max=${overall.duration.max}`
+  );
+  console.log(
+    `Upload   ms: avg=${overall.upload.avg}   p50=${overall.upload.p50}   p95=${overall.upload.p95}   min=${overall.upload.min}   max=${overall.upload.max}`
+  );
+  console.log(
+    `TTFB     ms: avg=${overall.ttfb.avg}     p50=${overall.ttfb.p50}     p95=${overall.ttfb.p95}     min=${overall.ttfb.min}     max=${overall.ttfb.max}`
+  );
+  console.log(
+    `Connect  ms: avg=${overall.connect.avg}  p50=${overall.connect.p50}  p95=${overall.connect.p95}  min=${overall.connect.min}  max=${overall.connect.max}`
+  );
+  console.log(
+    `DNS      ms: avg=${overall.dns.avg}      p50=${overall.dns.p50}      p95=${overall.dns.p95}      min=${overall.dns.min}      max=${overall.dns.max}  (new connections: ${overall.dns.count})`
+  );
+  console.log(
+    `ALPN seen: ${overall.alpnSeen.join(', ') || 'n/a'}  Remote IPs: ${
+      overall.distinctRemoteIPs.join(', ') || 'n/a'
+    }`
+  );
+  if (overall.exceptionDetails.length > 0) {
+    console.log(`\nExceptions encountered:`);
+    overall.exceptionDetails.forEach((e) =>
+      console.log(
+        `  Batch ${e.batch}, ${e.file} (attempt ${e.attempt ?? 1}): ${e.error}`
+      )
+    );
+  }
+}
+
+export function printGroup(title, rows) {
+  console.log(`\n=== ${title} ===`);
+  for (const s of rows) {
+    const size = Number.isFinite(s.size) ? ` (${humanBytes(s.size)})` : '';
+    console.log(
+      `${s.key}${size}: ok=${s.ok} (first try ${s.okFirstTry}) fail=${s.fail}${
+        s.corrupt ? ` corrupt=${s.corrupt}` : ''
+      } attempts=${s.attempts}` +
+        ` | dur avg=${s.duration.avg} p50=${s.duration.p50} p95=${s.duration.p95}` +
+        ` | up p50=${s.upload.p50} p95=${s.upload.p95} | ttfb p50=${s.ttfb.p50} p95=${s.ttfb.p95}`
+    );
+  }
+}
@@ -0,0 +1,277 @@
+import fs from 'fs/promises';
+import http from 'node:http';
+import { randomBytes } from 'node:crypto';
+import { harTimings, isExchange, noResponse } from './har.mjs';
+import { tool } from './util.mjs';
+
+// ---------- Live metrics and traces
+// Prometheus text exposition on a local /metrics endpoint (--metrics-port),
+// and OTLP-JSON spans appended to a file (--otlp-file) that an OpenTelemetry
+// Collector can pick up with its otlpjsonfile receiver.
+
+// Seconds; uploads of large files can take minutes
+const BUCKETS = [
+  0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 120, 300,
+];
+
+const escapeLabel = (v) =>
+  String(v).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+const labelText = (labels) =>
+  Object.entries(labels)
+    .map(([k, v]) => `${k}="${escapeLabel(v)}"`)
+    .join(',');
+
+function histogram(name, help) {
+  const series = new Map(); // label text -> { labels, counts, sum, count }
+  return {
+    observe(labels, seconds) {
+      const key = labelText(labels);
+      if (!series.has(key))
+        series.set(key, {
+          labels,
+          counts: BUCKETS.map(() => 0),
+          sum: 0,
+          count: 0,
+        });
+      const s = series.get(key);
+      BUCKETS.forEach((le, i) => {
+        if (seconds <= le) s.counts[i]++;
+      });
+      s.sum += seconds;
+      s.count++;
+    },
+    render() {
+      const out = [`# HELP ${name} ${help}`, `# TYPE ${name} histogram`];
+      for (const s of series.values()) {
+        const l = labelText(s.labels);
+        BUCKETS.forEach((le, i) =>
+          out.push(`${name}_bucket{${l},le="${le}"} ${s.counts[i]}`)
+        );
+        out.push(`${name}_bucket{${l},le="+Inf"} ${s.count}`);
+        out.push(`${name}_sum{${l}} ${+s.sum.toFixed(6)}`);
+        out.push(`${name}_count{${l}} ${s.count}`);
+      }
+      return out.join('\n');
+    },
+  };
+}
+
+// One observation per logical upload (the final attempt), like the summary.
+// constLabels (e.g. { run_id }) are added to every series.
+export function createMetrics(constLabels = {}) {
+  const hist = {
+    durationMs: histogram(
+      'cld_upload_duration_seconds',
+      'Upload request duration, from fetch() to the parsed response.'
+    ),
+    uploadMs: histogram(
+      'cld_upload_send_seconds',
+      'Time to send the request body.'
+    ),
+    ttfbMs: histogram(
+      'cld_upload_ttfb_seconds',
+      'Time from the body sent to the response headers.'
+    ),
+    connectMs: histogram(
+      'cld_upload_connect_seconds',
+      'TCP and TLS setup of new connections.'
+    ),
+  };
+  const totals = new Map(); // label text -> { labels, n }
+  let inFlight = 0;
+
+  return {
+    start() {
+      inFlight++;
+    },
+    // rec: { file, status, durationMs, timings, remoteIp }
+    observe(rec) {
+      inFlight--;
+      const t = rec.timings ?? {};
+      const labels = {
+        ...constLabels,
+        file: rec.file,
+        status: rec.status,
+        alpn: t.alpn ?? 'n/a',
+        remote_ip: t.remoteIp ?? rec.remoteIp ?? 'n/a',
+      };
+      const key = labelText(labels);
+      if (!totals.has(key)) totals.set(key, { labels, n: 0 });
+      totals.get(key).n++;
+      for (const [k, h] of Object.entries(hist)) {
+        const v = k === 'durationMs' ? rec.durationMs : t[k];
+        if (Number.isFinite(v)) h.observe(labels, v / 1000);
+      }
+    },
+    render() {
+      const c = labelText(constLabels);
+      const out = [
+        '# HELP cld_uploads_total Finished uploads (after retries).',
+        '# TYPE cld_uploads_total counter',
+        ...[...totals.values()].map(
+          (s) => `cld_uploads_total{${labelText(s.labels)}} ${s.n}`
+        ),
+        '# HELP cld_uploads_in_flight Uploads started and not yet finished.',
+        '# TYPE cld_uploads_in_flight gauge',
+        `cld_uploads_in_flight${c ? `{${c}}` : ''} ${inFlight}`,
+        ...Object.values(hist).map((h) => h.render()),
+      ];
+      return out.join('\n') + '\n';
+    },
+  };
+}
+
+// Serves GET /metrics until close()
+export async function startMetricsServer(metrics, { host, port }) {
+  const server = http.createServer((req, res) => {
+    if (req.method === 'GET' && req.url.split('?')[0] === '/metrics') {
+      res.writeHead(200, {
+        'content-type': 'text/plain; version=0.0.4; charset=utf-8',
+      });
+      res.end(metrics.render());
+      return;
+    }
+    res.writeHead(404, { 'content-type': 'text/plain' });
+    res.end('Not found. Try /metrics\n');
+  });
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, resolve);
+  });
+  return {
+    url: `http://${host.includes(':') ? `[${host}]` : host}:${port}/metrics`,
+    close: () =>
+      new Promise((resolve) => {
+        server.closeAllConnections();
+        server.close(resolve);
+      }),
+  };
+}
+
+// ---------- OTLP-JSON spans
+const SPAN_KIND_INTERNAL = 1;
+const SPAN_KIND_CLIENT = 3;
+const STATUS_OK = 1;
+const STATUS_ERROR = 2;
+
+const spanId = () => randomBytes(8).toString('hex');
+const nanos = (ms) => (BigInt(Math.round(ms * 1000)) * 1000n).toString();
+
+function attr(key, value) {
+  if (value === null || value === undefined) return null;
+  if (typeof value === 'boolean') return { key, value: { boolValue: value } };
+  if (Number.isInteger(value))
+    return { key, value: { intValue: String(value) } };
+  if (typeof value === 'number') return { key, value: { doubleValue: value } };
+  return { key, value: { stringValue: String(value) } };
+}
+const attrs = (obj) =>
+  Object.entries(obj)
+    .map(([k, v]) => attr(k, v))
+    .filter(Boolean);
+
+// One exchange (upload attempt or chunk) -> a client span whose trace ID is
+// its x-trace-id, with a child span per phase laid out as in the HAR timings
+export function exchangeSpans(r) {
+  const h = r.http;
+  const t = r.timings ?? {};
+  const traceId = h.traceId.replace(/-/g, '');
+  const id = spanId();
+  const start = Date.parse(h.startedDateTime);
+  const failed = noResponse(r);
+  const phases = failed ? {} : harTimings(t);
+  const elapsed = failed
+    ? h.elapsedMs ?? 0
+    : ['blocked', 'dns', 'connect', 'send', 'wait', 'receive']
+        .map((k) => Math.max(phases[k] ?? 0, 0))
+        .reduce((a, b) => a + b, 0);
+  const status = failed
+    ? { code: STATUS_ERROR, message: r.errorDetails?.message ?? r.error }
+    : r.status === 'corrupt'
+    ? { code: STATUS_ERROR, message: 'corrupt' }
+    : r.httpStatus >= 400
+    ? { code: STATUS_ERROR, message: `HTTP ${r.httpStatus}` }
+    : { code: STATUS_OK };
+  const url = new URL(h.url);
+  const root = {
+    traceId,
+    spanId: id,
+    name: `${h.method} ${r.event === 'chunk' ? 'upload chunk' : 'upload'}`,
+    kind: SPAN_KIND_CLIENT,
+    startTimeUnixNano: nanos(start),
+    endTimeUnixNano: nanos(start + elapsed),
+    attributes: attrs({
+      'http.request.method': h.method,
+      'url.full': h.url,
+      'server.address': url.hostname,
+      'http.response.status_code': failed ? null : r.httpStatus,
+      'network.protocol.version': t.alpn === 'h2' ? '2' : '1.1',
+      'network.peer.address': t.remoteIp,
+      'error.type': failed ? r.errorDetails?.code ?? 'exception' : null,
+      'cloudinary.file': r.file,
+      'cloudinary.public_id': r.publicId,
+      'cloudinary.request_id': r.requestId,
+      'cloudinary.batch': r.batch,
+      'cloudinary.attempt': r.attempt ?? 1,
+      'cloudinary.chunk': r.event === 'chunk' ? r.chunk : null,
+      'cloudinary.status': r.status ?? null,
+      'cloudinary.throttle': r.throttle,
+      'cloudinary.client_profile': r.client,
+      'connection.socket_id': t.socketId,
+      'connection.reused': t.reused,
+    }),
+    status,
+  };
+  const spans = [root];
+  let at = start;
+  for (const name of ['blocked', 'dns', 'connect', 'send', 'wait', 'receive']) {
+    const d = phases[name];
+    if (!(d > 0)) continue;
+    spans.push({
+      traceId,
+      spanId: spanId(),
+      parentSpanId: id,
+      name,
+      kind: SPAN_KIND_INTERNAL,
+      startTimeUnixNano: nanos(at),
+      endTimeUnixNano: nanos(at + d),
+      // ssl is the tail of connect
+      attributes:
+        name === 'connect' && phases.ssl > 0
+          ? attrs({ 'tls.handshake_ms': phases.ssl })
+          : [],
+    });
+    at += d;
+  }
+  return spans;
+}
+
+// Appends one ExportTraceServiceRequest per exchange record (JSON lines)
+export function createOtlpWriter(filePath, resourceAttrs = {}) {
+  const resource = {
+    attributes: attrs({
+      'service.name': tool.name,
+      'service.version': tool.version,
+      ...resourceAttrs,
+    }),
+  };
+  return {
+    async write(record) {
+      if (!isExchange(record) || !record.http.traceId) return;
+      const line = {
+        resourceSpans: [
+          {
+            resource,
+            scopeSpans: [
+              {
+                scope: { name: tool.name, version: tool.version },
+                spans: exchangeSpans(record),
+              },
+            ],
+          },
+        ],
+      };
+      await fs.appendFile(filePath, JSON.stringify(line) + '\n', 'utf8');
+    },
+  };
+}
@@ -0,0 +1,114 @@
+import { delay, parseDuration } from './util.mjs';
+
+// ---------- Network condition emulation (--throttle)
+// Like DevTools network throttling, inside the process: upload bodies are
+// paced to the uplink bandwidth (shared by every upload in flight, like one
+// phone's radio), each connection pays a round trip for the TCP handshake
+// and another for TLS, and each request one more before its response.
+// Loss is modelled by its effect on TCP: a lost 1460-byte segment holds its
+// upload back one round trip (a fast retransmit), and a lost SYN costs the
+// initial 1 s retransmission timeout. The test machine's own link still
+// applies underneath, so a profile can only make things slower.
+
+// Upload bandwidth in Mb/s, round trip in ms, loss in %
+export const THROTTLE_PRESETS = {
+  'slow-3g': { upMbps: 0.4, rttMs: 2000, lossPct: 0 }, // DevTools "Slow 3G"
+  '3g': { upMbps: 0.675, rttMs: 563, lossPct: 0 }, // DevTools "3G"
+  lte: { upMbps: 5, rttMs: 70, lossPct: 0 },
+  wifi: { upMbps: 20, rttMs: 20, lossPct: 0 },
+  'wifi-congested': { upMbps: 1.5, rttMs: 150, lossPct: 1 },
+};
+
+const MSS = 1460;
+const SYN_TIMEOUT_MS = 1000;
+
+// "1.5mbps", "750kbps", "2" (Mb/s) -> Mb/s
+function parseBandwidth(v) {
+  const m = /^(\d+(?:\.\d+)?)\s*(bps|kbps|mbps|gbps)?$/i.exec(v);
+  if (!m) return NaN;
+  const unit = (m[2] || 'mbps').toLowerCase();
+  return Number(m[1]) * { bps: 1e-6, kbps: 1e-3, mbps: 1, gbps: 1e3 }[unit];
+}
+
+// "1%" or a fraction like "0.01" -> %
+function parseLoss(v) {
+  const m = /^(\d+(?:\.\d+)?)(%?)$/.exec(v);
+  if (!m) return NaN;
+  return m[2] ? Number(m[1]) : Number(m[1]) * 100;
+}
+
+// "3g", "up=1.5mbps,rtt=150ms,loss=1%" or a preset with overrides
+// ("lte,loss=2%") -> { name, upMbps, rttMs, lossPct }; "off" -> null
+export function parseThrottle(spec) {
+  if (spec === undefined || spec === null || spec === 'off') return null;
+  const bad = (why) =>
+    new Error(
+      `--throttle "${spec}": ${why}. Use a profile (${Object.keys(
+        THROTTLE_PRESETS
+      ).join(', ')}) or up=1.5mbps,rtt=150ms,loss=1%`
+    );
+  const out = { name: String(spec), upMbps: null, rttMs: 0, lossPct: 0 };
+  for (const [i, token] of String(spec).split(',').entries()) {
+    const t = token.trim();
+    if (!t.includes('=')) {
+      if (i > 0 || !THROTTLE_PRESETS[t]) throw bad(`unknown profile "${t}"`);
+      Object.assign(out, THROTTLE_PRESETS[t]);
+      continue;
+    }
+    const [key, value] = t.split('=').map((s) => s.trim());
+    const parse = { up: parseBandwidth, rtt: parseDuration, loss: parseLoss }[
+      key
+    ];
+    if (!parse) throw bad(`unknown setting "${key}" (up, rtt, loss)`);
+    const v = parse(value);
+    if (!Number.isFinite(v) || v < 0 || (key === 'up' && v === 0))
+      throw bad(`bad ${key} "${value}"`);
+    out[{ up: 'upMbps', rtt: 'rttMs', loss: 'lossPct' }[key]] = v;
+  }
+  if (out.lossPct >= 100) throw bad('loss must be below 100%');
+  if (out.lossPct > 0 && !out.rttMs)
+    throw bad('loss needs an rtt (a lost segment costs a round trip)');
+  return out;
+}
+
+export const describeThrottle = (t) =>
+  t
+    ? `${t.name} (up ${t.upMbps ?? 'unlimited'}${
+        t.upMbps ? ' Mb/s' : ''
+      }, rtt ${t.rttMs} ms, loss ${t.lossPct}%)`
+    : 'off';
+
+const lost = (p) => Math.random() * 100 < p;
+
+// The emulated link of one run
+export function createLink({ upMbps, rttMs, lossPct }) {
+  let freeAt = 0; // when the uplink has sent everything queued so far
+  return {
+    rttMs,
+    // Waits until n more body bytes are through the uplink. null when only
+    // latency is emulated, so bodies aren't sliced for nothing.
+    pace:
+      upMbps || lossPct
+        ? async (n) => {
+            const t = performance.now();
+            if (upMbps) {
+              freeAt = Math.max(t, freeAt) + (n * 8) / (upMbps * 1000);
+            }
+            // A retransmit stalls this upload, not the others on the link
+            let stall = 0;
+            if (lossPct)
+              for (let s = 0; s < Math.ceil(n / MSS); s++)
+                if (lost(lossPct)) stall += rttMs;
+            const wait = Math.max(freeAt, t) - t + stall;
+            if (wait > 0) await delay(wait);
+          }
+        : null,
+    // Extra setup time of a new connection: { tcpMs, tlsMs }
+    handshake(secure) {
+      return {
+        tcpMs: rttMs + (lossPct && lost(lossPct) ? SYN_TIMEOUT_MS : 0),
+        tlsMs: secure ? rttMs : 0,
+      };
+    },
+  };
+}
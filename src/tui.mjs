@@ -0,0 +1,228 @@
+import { humanBytes } from './util.mjs';
+import { summarize } from './stats.mjs';
+
+// ---------- Live terminal dashboard (--tui)
+// Redraws one screen in place on the terminal's alternate screen: uploads in
+// flight with their progress, rolling p50/p95 per file, errors by status or
+// code, open sockets and an ETA. Console lines printed meanwhile (OK/ERR,
+// batch starts) are captured and shown as "Recent"; everything still goes to
+// the log. Without a TTY start() returns false and output stays plain.
+
+const ROLLING = 20; // samples per file for p50/p95
+const RECENT = 8; // console lines kept
+
+const CSI = '\x1b[';
+const fmtMs = (ms) => {
+  if (!Number.isFinite(ms)) return 'n/a';
+  const s = Math.round(ms / 1000);
+  if (s < 60) return `${s}s`;
+  if (s < 3600)
+    return `${Math.floor(s / 60)}m${String(s % 60).padStart(2, '0')}s`;
+  return `${Math.floor(s / 3600)}h${String(Math.floor(s / 60) % 60).padStart(
+    2,
+    '0'
+  )}m`;
+};
+const bar = (frac, width = 16) => {
+  const n = Math.round(Math.min(1, Math.max(0, frac)) * width);
+  return `[${'#'.repeat(n)}${'-'.repeat(width - n)}]`;
+};
+const pad = (s, n) => String(s).slice(0, n).padEnd(n);
+
+// plan: { runId, profile, uploads (planned total or null), durationMs (or null) }
+// openSockets(): connection records with { id, origin, remote, alpn, requests, openedAt }
+export function createDashboard({
+  out = process.stdout,
+  plan,
+  openSockets = () => [],
+  refreshMs = 250,
+}) {
+  const inFlight = new Map(); // id -> { file, size, sent, attempt, startedAt }
+  const perFile = new Map(); // file -> { durations (last ROLLING), ok, fail }
+  const errors = new Map(); // "http 503" | "ECONNRESET" | ... -> count
+  const recent = [];
+  let done = 0;
+  let ok = 0;
+  let phase = '';
+  let startedAt = null;
+  let timer = null;
+  let restoreConsole = null;
+
+  function capture() {
+    const saved = {
+      log: console.log,
+      warn: console.warn,
+      error: console.error,
+    };
+    const keep = (...args) => {
+      for (const line of args.join(' ').split('\n')) {
+        recent.push(line);
+        if (recent.length > RECENT) recent.shift();
+      }
+    };
+    console.log = console.warn = console.error = keep;
+    return () => Object.assign(console, saved);
+  }
+
+  function eta(elapsed) {
+    if (plan.durationMs) return Math.max(0, plan.durationMs - elapsed);
+    if (plan.uploads && done > 0)
+      return (elapsed / done) * Math.max(0, plan.uploads - done);
+    return null;
+  }
+
+  function render() {
+    const cols = out.columns || 100;
+    const rows = out.rows || 40;
+    const t = performance.now();
+    const elapsed = t - startedAt;
+    const lines = [];
+    lines.push(
+      `Run ${plan.runId}  Profile ${plan.profile}${
+        phase ? `  Interval ${phase}` : ''
+      }  elapsed ${fmtMs(elapsed)}  ETA ${fmtMs(eta(elapsed))}`
+    );
+    lines.push(
+      `Uploads: done ${done}${
+        plan.uploads ? `/${plan.uploads}` : ''
+      }  ok ${ok}  fail ${done - ok}  in flight ${inFlight.size}  ${(
+        done / (elapsed / 1000) || 0
+      ).toFixed(2)}/s`
+    );
+
+    lines.push('', `In flight (${inFlight.size})`);
+    const flying = [...inFlight.values()].sort(
+      (a, b) => a.startedAt - b.startedAt
+    );
+    for (const u of flying.slice(0, 10)) {
+      // sent includes the multipart framing; don't show more than the file
+      const sent = Math.min(u.sent, u.size);
+      const frac = u.size ? sent / u.size : 0;
+      lines.push(
+        `  ${pad(u.file, 28)} ${bar(frac)} ${String(
+          Math.round(frac * 100)
+        ).padStart(3)}%  ${humanBytes(sent)}/${humanBytes(u.size)}  ${fmtMs(
+          t - u.startedAt
+        )}${u.attempt > 1 ? `  attempt ${u.attempt}` : ''}`
+      );
+    }
+    if (flying.length > 10) lines.push(`  ... ${flying.length - 10} more`);
+
+    lines.push(
+      '',
+      `Per file (last ${ROLLING})              n    p50 ms   p95 ms   ok  fail`
+    );
+    for (const [file, s] of [...perFile].sort((a, b) =>
+      a[0].localeCompare(b[0])
+    )) {
+      const d = summarize(s.durations);
+      lines.push(
+        `  ${pad(file, 28)} ${String(d.count).padStart(4)} ${String(
+          d.p50 ?? '-'
+        ).padStart(8)} ${String(d.p95 ?? '-').padStart(8)} ${String(
+          s.ok
+        ).padStart(4)} ${String(s.fail).padStart(5)}`
+      );
+    }
+
+    lines.push(
+      '',
+      `Errors: ${
+        [...errors]
+          .sort((a, b) => b[1] - a[1])
+          .map(([k, n]) => `${k} x${n}`)
+          .join('  ') || 'none'
+      }`
+    );
+
+    const socks = openSockets();
+    lines.push('', `Sockets open (${socks.length})`);
+    for (const c of socks.slice(0, 8))
+      lines.push(
+        `  #${c.id} ${c.origin} ${c.remote ?? 'n/a'} ${
+          c.alpn ?? 'http/1.1'
+        } requests=${c.requests} age=${fmtMs(t - c.openedAt)}`
+      );
+    if (socks.length > 8) lines.push(`  ... ${socks.length - 8} more`);
+
+    // Recent output takes whatever rows are left
+    const room = rows - lines.length - 3;
+    if (room > 0) {
+      lines.push('', 'Recent');
+      for (const l of recent.slice(-room)) lines.push(`  ${l}`);
+    }
+    const screen = lines
+      .slice(0, rows - 1)
+      .map((l) => l.slice(0, cols - 1) + `${CSI}K`)
+      .join('\n');
+    out.write(`${CSI}H${screen}\n${CSI}J`);
+  }
+
+  // Put the terminal back even if the run dies (or a second Ctrl-C exits),
+  // and show how it ended
+  const onExit = () => {
+    if (!timer) return;
+    stop();
+    process.stderr.write(recent.join('\n') + '\n');
+  };
+
+  function stop() {
+    if (!timer) return;
+    clearInterval(timer);
+    timer = null;
+    restoreConsole();
+    out.write(`${CSI}?25h${CSI}?1049l`);
+    process.off('exit', onExit);
+  }
+
+  return {
+    // false when stdout is not a terminal (piped, CI); nothing is drawn then
+    start() {
+      if (!out.isTTY) return false;
+      startedAt = performance.now();
+      restoreConsole = capture();
+      out.write(`${CSI}?1049h${CSI}?25l`);
+      timer = setInterval(render, refreshMs);
+      process.on('exit', onExit);
+      render();
+      return true;
+    },
+    stop,
+    phase(label) {
+      phase = label;
+    },
+    // One upload attempt starting; id stays the same across retries
+    begin(id, { file, size, attempt }) {
+      inFlight.set(id, {
+        file,
+        size,
+        attempt,
+        sent: 0,
+        startedAt: inFlight.get(id)?.startedAt ?? performance.now(),
+      });
+    },
+    bytes(id, n) {
+      const u = inFlight.get(id);
+      if (u) u.sent += n;
+    },
+    // A failed attempt, whether or not it is retried
+    failed(key) {
+      errors.set(key, (errors.get(key) ?? 0) + 1);
+    },
+    // The upload is finished (after retries)
+    end(id, { file, ok: success, durationMs }) {
+      inFlight.delete(id);
+      done++;
+      if (success) ok++;
+      if (!perFile.has(file))
+        perFile.set(file, { durations: [], ok: 0, fail: 0 });
+      const s = perFile.get(file);
+      if (success) s.ok++;
+      else s.fail++;
+      if (Number.isFinite(durationMs)) {
+        s.durations.push(durationMs);
+        if (s.durations.length > ROLLING) s.durations.shift();
+      }
+    },
+  };
+}
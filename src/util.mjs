@@ -0,0 +1,90 @@
+import { readFileSync } from 'node:fs';
+import path from 'path';
+
+// ---------- Utilities shared by the run and the offline commands
+// Name and version of this tool, as exporters report them
+const pkg = JSON.parse(
+  readFileSync(new URL('../package.json', import.meta.url), 'utf8')
+);
+export const tool = { name: pkg.name, version: pkg.version };
+
+// Bad arguments to a command; main prints the message without a stack
+export class UsageError extends Error {
+  name = 'UsageError';
+}
+
+export function nowStamp() {
+  const d = new Date();
+  const pad = (n, w = 2) => String(n).padStart(w, '0');
+  return `${d.getFullYear()}${pad(d.getMonth() + 1)}${pad(d.getDate())}-${pad(
+    d.getHours()
+  )}${pad(d.getMinutes())}${pad(d.getSeconds())}`;
+}
+
+// Resolves early (without an error) when signal aborts
+export function delay(ms, signal) {
+  if (signal?.aborted) return Promise.resolve();
+  return new Promise((res) => {
+    const done = () => {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', done);
+      res();
+    };
+    const timer = setTimeout(done, ms);
+    signal?.addEventListener('abort', done, { once: true });
+  });
+}
+export function baseNameNoExt(p) {
+  const b = path.basename(p);
+  const i = b.lastIndexOf('.');
+  return i > 0 ? b.slice(0, i) : b;
+}
+export function humanBytes(n) {
+  const kb = 1024,
+    mb = kb * 1024;
+  if (n >= mb) return `${(n / mb).toFixed(2)}mb`;
+  if (n >= kb) return `${(n / kb).toFixed(2)}kb`;
+  return `${n}b`;
+}
+// "6mb", "512kb", "5242880" -> bytes (1024-based, matching humanBytes)
+export function parseBytes(v) {
+  const m = /^(\d+(?:\.\d+)?)\s*(b|kb|mb|gb)?$/i.exec(String(v).trim());
+  if (!m) return NaN;
+  const unit = (m[2] || 'b').toLowerCase();
+  const mult = { b: 1, kb: 1024, mb: 1024 ** 2, gb: 1024 ** 3 }[unit];
+  return Math.round(Number(m[1]) * mult);
+}
+// "1500", "90s", "5m", "1h" -> ms
+export function parseDuration(v) {
+  const m = /^(\d+(?:\.\d+)?)\s*(ms|s|m|h)?$/i.exec(String(v).trim());
+  if (!m) return NaN;
+  const unit = (m[2] || 'ms').toLowerCase();
+  const mult = { ms: 1, s: 1000, m: 60_000, h: 3_600_000 }[unit];
+  return Math.round(Number(m[1]) * mult);
+}
+export function mbps(bytes, ms) {
+  if (!ms || ms <= 0) return 0;
+  return (bytes * 8) / (ms / 1000) / 1e6;
+}
+export function shuffle(a) {
+  const b = a.slice();
+  for (let i = b.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [b[i], b[j]] = [b[j], b[i]];
+  }
+  return b;
+}
+
+// Seeded PRNG (mulberry32) for reproducible fault injection and fixtures.
+// Without a seed it falls back to Math.random.
+export function createRng(seed) {
+  if (seed === undefined || seed === null || seed === true) return Math.random;
+  let a = Number(seed) >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
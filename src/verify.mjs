@@ -0,0 +1,174 @@
+import fs from 'fs/promises';
+import { createHash } from 'node:crypto';
+import { createReadStream } from 'node:fs';
+import path from 'path';
+import { fetch } from 'undici';
+
+// ---------- Post-upload verification
+// Compares what Cloudinary says it stored (bytes, format, width, height,
+// etag = MD5 of the stored file) with the local file, and optionally
+// downloads secure_url and hashes it. Any mismatch makes the upload "corrupt".
+// Each check is { expected, actual, ok } with ok null when it can't be
+// checked (field missing from the response, not an image, download failed).
+
+// Extension -> Cloudinary format name where they differ
+const FORMAT_ALIASES = { jpeg: 'jpg', jpe: 'jpg', tif: 'tiff' };
+
+// Width/height from the header of a PNG, GIF, WebP or JPEG. read(pos, len)
+// returns a Buffer, so this works on a file handle or an in-memory buffer.
+export async function imageSize(read) {
+  const b = await read(0, 30);
+  if (b.length >= 24 && b.readUInt32BE(0) === 0x89504e47)
+    return { width: b.readUInt32BE(16), height: b.readUInt32BE(20) };
+  if (b.length >= 10 && b.toString('latin1', 0, 3) === 'GIF')
+    return { width: b.readUInt16LE(6), height: b.readUInt16LE(8) };
+  if (
+    b.length >= 30 &&
+    b.toString('latin1', 0, 4) === 'RIFF' &&
+    b.toString('latin1', 8, 12) === 'WEBP'
+  ) {
+    const chunk = b.toString('latin1', 12, 16);
+    if (chunk === 'VP8 ')
+      return {
+        width: b.readUInt16LE(26) & 0x3fff,
+        height: b.readUInt16LE(28) & 0x3fff,
+      };
+    if (chunk === 'VP8L')
+      return {
+        width: 1 + (((b[22] & 0x3f) << 8) | b[21]),
+        height: 1 + (((b[24] & 0x0f) << 10) | (b[23] << 2) | (b[22] >> 6)),
+      };
+    if (chunk === 'VP8X')
+      return {
+        width: 1 + b.readUIntLE(24, 3),
+        height: 1 + b.readUIntLE(27, 3),
+      };
+    return null;
+  }
+  if (b.length >= 2 && b[0] === 0xff && b[1] === 0xd8) {
+    // Walk the marker segments up to the first SOFn
+    for (let pos = 2; ; ) {
+      const seg = await read(pos, 9);
+      if (seg.length < 4 || seg[0] !== 0xff) return null;
+      const marker = seg[1];
+      if (marker === 0xff) {
+        pos++; // fill byte
+        continue;
+      }
+      const isSof =
+        marker >= 0xc0 &&
+        marker <= 0xcf &&
+        ![0xc4, 0xc8, 0xcc].includes(marker);
+      if (isSof && seg.length >= 9)
+        return { width: seg.readUInt16BE(7), height: seg.readUInt16BE(5) };
+      if (marker === 0xd9 || marker === 0xda) return null;
+      pos += 2 + seg.readUInt16BE(2);
+    }
+  }
+  return null;
+}
+
+const localCache = new Map(); // path -> Promise<local description>
+
+// Size, hashes, format and image dimensions of a local file (cached per path)
+export function describeLocal(filePath) {
+  if (!localCache.has(filePath)) localCache.set(filePath, readLocal(filePath));
+  return localCache.get(filePath);
+}
+
+async function readLocal(filePath) {
+  const md5 = createHash('md5');
+  const sha256 = createHash('sha256');
+  let bytes = 0;
+  for await (const chunk of createReadStream(filePath)) {
+    md5.update(chunk);
+    sha256.update(chunk);
+    bytes += chunk.length;
+  }
+  const ext = path.extname(filePath).slice(1).toLowerCase();
+  const fh = await fs.open(filePath, 'r');
+  let dims;
+  try {
+    dims = await imageSize(async (pos, len) => {
+      const buf = Buffer.alloc(len);
+      const { bytesRead } = await fh.read(buf, 0, len, pos);
+      return buf.subarray(0, bytesRead);
+    });
+  } finally {
+    await fh.close();
+  }
+  return {
+    bytes,
+    md5: md5.digest('hex'),
+    sha256: sha256.digest('hex'),
+    format: FORMAT_ALIASES[ext] ?? (ext || null),
+    width: dims?.width ?? null,
+    height: dims?.height ?? null,
+  };
+}
+
+function check(expected, actual) {
+  if (expected === null || expected === undefined) return null;
+  if (actual === null || actual === undefined)
+    return { expected, actual: null, ok: null };
+  return { expected, actual, ok: expected === actual };
+}
+
+async function downloadCheck(url, local) {
+  const t0 = performance.now();
+  try {
+    const resp = await fetch(url);
+    if (!resp.ok) {
+      await resp.body?.cancel();
+      return {
+        expected: local.md5,
+        actual: null,
+        ok: null,
+        httpStatus: resp.status,
+        error: `HTTP ${resp.status}`,
+      };
+    }
+    const md5 = createHash('md5');
+    let bytes = 0;
+    for await (const chunk of resp.body) {
+      md5.update(chunk);
+      bytes += chunk.length;
+    }
+    const actual = md5.digest('hex');
+    return {
+      expected: local.md5,
+      actual,
+      ok: actual === local.md5,
+      httpStatus: resp.status,
+      bytes,
+      durationMs: Math.round(performance.now() - t0),
+    };
+  } catch (err) {
+    return {
+      expected: local.md5,
+      actual: null,
+      ok: null,
+      error: err.cause?.code ?? err.message,
+    };
+  }
+}
+
+// mode: 'meta' (response fields and etag) or 'download' (also fetch secure_url)
+export async function verifyUpload(filePath, data, mode) {
+  const local = await describeLocal(filePath);
+  const checks = {
+    bytes: check(local.bytes, data?.bytes),
+    etag: check(local.md5, data?.etag),
+    // raw uploads have no format; skip it when the response has none
+    format: data?.format ? check(local.format, data.format) : null,
+    width: check(local.width, data?.width),
+    height: check(local.height, data?.height),
+  };
+  if (mode === 'download')
+    checks.download = data?.secure_url
+      ? await downloadCheck(data.secure_url, local)
+      : { expected: local.md5, actual: null, ok: null, error: 'no secure_url' };
+  for (const k of Object.keys(checks)) if (checks[k] === null) delete checks[k];
+  const failed = Object.keys(checks).filter((k) => checks[k].ok === false);
+  return { ok: failed.length === 0, failed, sha256: local.sha256, checks };
+}
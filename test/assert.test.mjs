@@ -0,0 +1,92 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseAssertion, checkAssertion } from '../src/assert.mjs';
+
+const summary = {
+  overall: { totals: { tried: 6, fail: 1 }, upload: { p95: 7000 } },
+  perFile: [
+    { key: '50mb.jpg', fail: 0 },
+    { key: '50mb.png', fail: 1 },
+    { key: '1mb.jpg', fail: 0 },
+  ],
+  perIp: [{ key: '10.0.0.1', fail: 0 }],
+};
+const check = (text) => checkAssertion(parseAssertion(text), summary);
+
+test('parseAssertion splits path, op and number', () => {
+  assert.deepEqual(parseAssertion(' overall.upload.p95 <= 8000 '), {
+    text: 'overall.upload.p95 <= 8000',
+    path: 'overall.upload.p95',
+    segments: [
+      { key: 'overall', pick: undefined },
+      { key: 'upload', pick: undefined },
+      { key: 'p95', pick: undefined },
+    ],
+    op: '<=',
+    expected: 8000,
+  });
+  for (const op of ['<', '>', '<=', '>=', '==', '!='])
+    assert.equal(parseAssertion(`errorRate${op}-0.5`).op, op);
+  assert.equal(parseAssertion('errorRate<-0.5').expected, -0.5);
+  assert.deepEqual(parseAssertion('perIp[10.0.0.1].fail==0').segments, [
+    { key: 'perIp', pick: '10.0.0.1' },
+    { key: 'fail', pick: undefined },
+  ]);
+});
+
+test('parseAssertion rejects malformed text', () => {
+  for (const text of [
+    'overall.upload.p95',
+    'overall.upload.p95 < fast',
+    'overall..p95<1',
+    '1bad<2',
+    'perFile[].fail==0',
+    '<5',
+  ])
+    assert.throws(() => parseAssertion(text), /--assert: can't parse/, text);
+});
+
+test('checkAssertion passes and fails against the summary', () => {
+  assert.deepEqual(check('overall.upload.p95<8000'), {
+    text: 'overall.upload.p95<8000',
+    ok: true,
+    error: false,
+    actual: 'overall.upload.p95=7000',
+    message: null,
+  });
+  const r = check('overall.upload.p95<5000');
+  assert.equal(r.ok, false);
+  assert.equal(r.error, false);
+  assert.equal(r.message, 'overall.upload.p95=7000, expected < 5000');
+});
+
+test('checkAssertion derives errorRate from the totals', () => {
+  assert.equal(check('errorRate<0.2').ok, true);
+  assert.equal(
+    check('errorRate<0.1').message,
+    'errorRate=0.1667, expected < 0.1'
+  );
+});
+
+test('checkAssertion picks rows by key or by name without extension', () => {
+  assert.equal(check('perFile[1mb.jpg].fail==0').ok, true);
+  assert.equal(check('perIp[10.0.0.1].fail==0').ok, true);
+  const r = check('perFile[50mb].fail==0');
+  assert.equal(r.ok, false);
+  assert.equal(r.actual, 'perFile[50mb.jpg].fail=0, perFile[50mb.png].fail=1');
+  assert.equal(r.message, 'perFile[50mb.png].fail=1, expected == 0');
+});
+
+test('checkAssertion reports paths that do not resolve as errors', () => {
+  const cases = {
+    'overall.ttfb.p95<1': 'overall.ttfb is not in the summary',
+    'perFile[2mb].fail==0': 'perFile has no row "2mb"',
+    'overall[x].p95<1': 'overall is not a list',
+  };
+  for (const [text, message] of Object.entries(cases))
+    assert.deepEqual(check(text), { text, ok: false, error: true, message });
+  // A path to something other than a number resolves but fails
+  const r = check('overall.upload<1');
+  assert.equal(r.ok, false);
+  assert.equal(r.error, false);
+});
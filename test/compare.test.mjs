@@ -0,0 +1,44 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mannWhitney } from '../src/compare.mjs';
+
+// Expected values from scipy.stats.mannwhitneyu(a, b, method='asymptotic',
+// use_continuity=True); z = the matching normal quantile
+test('mannWhitney matches the asymptotic test without ties', () => {
+  assert.deepEqual(mannWhitney([1, 2, 3, 4, 5], [6, 7, 8, 9, 10]), {
+    u: 0,
+    z: -2.507,
+    p: 0.0122, // scipy 0.012186
+  });
+  assert.deepEqual(mannWhitney([10, 20, 30, 40], [15, 25, 35, 45, 55]), {
+    u: 6,
+    z: -0.857,
+    p: 0.3913, // scipy 0.391267
+  });
+});
+
+test('mannWhitney applies the tie correction', () => {
+  assert.deepEqual(mannWhitney([1, 2, 2, 3], [2, 3, 4, 5]), {
+    u: 2.5,
+    z: -1.488,
+    p: 0.1367, // scipy 0.136658
+  });
+});
+
+test('mannWhitney is symmetric in z and p', () => {
+  const ab = mannWhitney([1, 2, 2, 3], [2, 3, 4, 5]);
+  const ba = mannWhitney([2, 3, 4, 5], [1, 2, 2, 3]);
+  assert.equal(ba.u, 4 * 4 - ab.u);
+  assert.equal(ba.z, -ab.z);
+  assert.equal(ba.p, ab.p);
+});
+
+test('mannWhitney returns p=1 when every value ties (sigma 0)', () => {
+  assert.deepEqual(mannWhitney([5, 5, 5], [5, 5]), { u: 3, z: 0, p: 1 });
+});
+
+test('mannWhitney needs two samples on each side', () => {
+  assert.equal(mannWhitney([1], [2, 3]), null);
+  assert.equal(mannWhitney([1, 2], [3]), null);
+  assert.equal(mannWhitney([], []), null);
+});
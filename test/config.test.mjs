@@ -0,0 +1,139 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { loadConfig, redactConfig } from '../src/config.mjs';
+
+// Writes a config file for one test and removes it afterwards
+async function configFile(t, json) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'cld-config-'));
+  t.after(() => fs.rm(dir, { recursive: true, force: true }));
+  const file = path.join(dir, 'cld-tests.json');
+  await fs.writeFile(file, JSON.stringify(json));
+  return file;
+}
+
+const cli = (flags = {}) => ({ _: [], ...flags });
+
+test('loadConfig layers default < file defaults < profiles < resume < env < flag', async (t) => {
+  const file = await configFile(t, {
+    defaults: {
+      batches: 2,
+      concurrency: 2,
+      'delay-ms': 2,
+      retries: 2,
+      limit: 2,
+    },
+    profiles: {
+      base: { concurrency: 3, 'delay-ms': 3, retries: 3, limit: 3 },
+      ci: { extends: 'base', 'delay-ms': 4, retries: 4, limit: 4 },
+    },
+  });
+  const { values, sources, profile } = await loadConfig(
+    cli({ config: file, 'config-profile': 'ci', limit: '7' }),
+    { CLD_TESTS_LIMIT: '6', CLD_TESTS_RETRIES: '6' },
+    { retries: 5, limit: 5, 'timeout-ms': 5 }
+  );
+  assert.equal(profile, 'ci');
+  assert.equal(values.http, '1.1');
+  assert.equal(sources.http, 'default');
+  assert.equal(values.batches, 2);
+  assert.equal(sources.batches, `${file}:defaults`);
+  assert.equal(values.concurrency, 3);
+  assert.equal(sources.concurrency, `${file}:base`);
+  assert.equal(values['delay-ms'], 4);
+  assert.equal(sources['delay-ms'], `${file}:ci`);
+  assert.equal(values['timeout-ms'], 5);
+  assert.equal(sources['timeout-ms'], 'resume');
+  assert.equal(values.retries, 6);
+  assert.equal(sources.retries, 'env');
+  assert.equal(values.limit, 7);
+  assert.equal(sources.limit, 'cli');
+});
+
+test('loadConfig coerces values to their schema types', async () => {
+  const { values } = await loadConfig(
+    cli({
+      batches: '3',
+      keepalive: 'false',
+      'chunk-size': '6mb',
+      duration: '90s',
+      rate: '0.5',
+      http: '2',
+      files: ['a/*.jpg', 'b/*.png'],
+    }),
+    {}
+  );
+  assert.equal(values.batches, 3);
+  assert.equal(values.keepalive, false);
+  assert.equal(values['chunk-size'], 6 * 1024 * 1024);
+  assert.equal(values.duration, 90_000);
+  assert.equal(values.rate, 0.5);
+  assert.equal(values.http, '2');
+  assert.deepEqual(values.files, ['a/*.jpg', 'b/*.png']);
+});
+
+test('loadConfig rejects bad values and unknown options', async () => {
+  const fails = (flags, message) =>
+    assert.rejects(loadConfig(cli(flags), {}), { message });
+  await fails({ batches: '0' }, /--batches must be >= 1, got "0"/);
+  await fails({ batches: '1.5' }, /--batches must be an integer/);
+  await fails({ keepalive: 'yes' }, /--keepalive must be true or false/);
+  await fails({ http: '3' }, /--http must be one of 1\.1, 2, auto/);
+  await fails({ 'chunk-size': 'big' }, /--chunk-size must be a size/);
+  await fails({ duration: '0' }, /--duration must be a duration/);
+  await fails(
+    { batchs: '2' },
+    /unknown option "--batchs" \(did you mean "--batches"\?\)/
+  );
+  await fails({ batches: ['1', '2'] }, /given more than once/);
+  await assert.rejects(
+    loadConfig(cli(), { CLD_TESTS_BATCHES: 'x' }),
+    /Environment CLD_TESTS_BATCHES: batches must be an integer/
+  );
+});
+
+test('loadConfig keeps command-line-only options out of config files', async (t) => {
+  const file = await configFile(t, { defaults: { resume: 'out/run.ndjson' } });
+  await assert.rejects(
+    loadConfig(cli({ config: file }), {}),
+    /"resume" can only be set on the command line/
+  );
+});
+
+test('loadConfig reports missing, malformed and cyclic profiles', async (t) => {
+  const file = await configFile(t, {
+    profiles: {
+      a: { extends: 'b' },
+      b: { extends: 'c' },
+      c: { extends: 'a' },
+      broken: null,
+      list: [1],
+      orphan: { extends: 'missing' },
+      child: { extends: 'broken' },
+    },
+  });
+  const fails = (name, message) =>
+    assert.rejects(
+      loadConfig(cli({ config: file, 'config-profile': name }), {}),
+      { message }
+    );
+  await fails('a', /profile "a" extends itself \(a -> b -> c -> a\)/);
+  await fails('broken', /profile "broken" is malformed: .* got null/);
+  await fails('list', /profile "list" is malformed: .* got \[1\]/);
+  await fails('child', /profile "broken" is malformed/);
+  await fails('orphan', /no profile "missing"\. Profiles: a, b, c, broken/);
+  await fails('toString', /no profile "toString"/);
+  await assert.rejects(
+    loadConfig(cli({ 'config-profile': 'a' }), {}),
+    /--config-profile needs --config/
+  );
+});
+
+test('redactConfig hides secrets', () => {
+  assert.deepEqual(
+    redactConfig({ 'api-key': 'k', 'api-secret': 's', proxy: 'http://u:p@h' }),
+    { 'api-key': 'k', 'api-secret': '***', proxy: '***' }
+  );
+});
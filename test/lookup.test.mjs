@@ -0,0 +1,97 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import dgram from 'node:dgram';
+import { once } from 'node:events';
+import { parseResolve, createLookup } from '../src/lookup.mjs';
+
+test('parseResolve reads host:IP pins', () => {
+  const pins = parseResolve([
+    'API.cloudinary.com:1.2.3.4',
+    'a.example:[::1],b.example:443:10.0.0.2',
+    'c.example:443:[2001:db8::1]',
+  ]);
+  assert.deepEqual(Object.fromEntries(pins), {
+    'api.cloudinary.com': { address: '1.2.3.4', family: 4 },
+    'a.example': { address: '::1', family: 6 },
+    'b.example': { address: '10.0.0.2', family: 4 },
+    'c.example': { address: '2001:db8::1', family: 6 },
+  });
+  assert.equal(parseResolve().size, 0);
+});
+
+test('parseResolve rejects entries without a host or an IP', () => {
+  for (const entry of ['1.2.3.4', ':1.2.3.4', 'h:', 'h:example.com', 'h:1.2.3'])
+    assert.throws(
+      () => parseResolve([entry]),
+      {
+        message: `--resolve expects host:IP (e.g. api.cloudinary.com:1.2.3.4), got "${entry}"`,
+      },
+      entry
+    );
+});
+
+test('createLookup answers pinned hosts without DNS', () => {
+  const lookup = createLookup({ pins: parseResolve(['pinned.test:10.1.2.3']) });
+  let args;
+  lookup('Pinned.Test', {}, (...a) => (args = a));
+  assert.deepEqual(args, [null, '10.1.2.3', 4]);
+  lookup('pinned.test', { all: true }, (...a) => (args = a));
+  assert.deepEqual(args, [null, [{ address: '10.1.2.3', family: 4 }]]);
+});
+
+// A DNS server that answers every A query with 127.0.0.9 and has no AAAA
+async function dnsServer(t) {
+  const socket = dgram.createSocket('udp4');
+  socket.on('message', (msg, peer) => {
+    let end = 12;
+    while (msg[end]) end += msg[end] + 1;
+    const question = msg.subarray(12, end + 5);
+    const isA = msg.readUInt16BE(end + 1) === 1;
+    const header = Buffer.from(msg.subarray(0, 12));
+    header.writeUInt16BE(0x8180, 2); // response, recursion available
+    header.writeUInt16BE(1, 4);
+    header.writeUInt16BE(isA ? 1 : 0, 6);
+    header.writeUInt32BE(0, 8);
+    const answer = Buffer.from([
+      0xc0, 12, 0, 1, 0, 1, 0, 0, 0, 60, 0, 4, 127, 0, 0, 9,
+    ]);
+    socket.send(
+      Buffer.concat([header, question, ...(isA ? [answer] : [])]),
+      peer.port,
+      peer.address
+    );
+  });
+  socket.bind(0, '127.0.0.1');
+  await once(socket, 'listening');
+  t.after(() => socket.close());
+  return `127.0.0.1:${socket.address().port}`;
+}
+
+test('createLookup queries the given DNS servers', async (t) => {
+  const lookup = createLookup({ servers: [await dnsServer(t)] });
+  const [err, address, family] = await new Promise((resolve) =>
+    lookup('upload.test', {}, (...a) => resolve(a))
+  );
+  assert.equal(err, null);
+  assert.equal(address, '127.0.0.9');
+  assert.equal(family, 4);
+});
+
+test('createLookup calls a throwing callback only once', async (t) => {
+  const lookup = createLookup({ servers: [await dnsServer(t)] });
+  const calls = [];
+  // The callback's error surfaces as an unhandled rejection, like a throw
+  // from dns.lookup's callback; keep it from the test runner
+  const runners = process.rawListeners('unhandledRejection');
+  process.removeAllListeners('unhandledRejection');
+  t.after(() => runners.forEach((l) => process.on('unhandledRejection', l)));
+  const rejected = new Promise((resolve) =>
+    process.once('unhandledRejection', resolve)
+  );
+  lookup('upload.test', {}, (...a) => {
+    calls.push(a);
+    throw new Error('callback failed');
+  });
+  assert.equal((await rejected).message, 'callback failed');
+  assert.deepEqual(calls, [[null, '127.0.0.9', 4]]);
+});
@@ -0,0 +1,70 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createMockServer } from '../src/mock-server.mjs';
+
+// A listening mock with quiet logs; get/post fail instead of hanging
+async function start(t, options) {
+  const server = createMockServer(options);
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => server.close());
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'error', () => {});
+  const base = `http://127.0.0.1:${server.address().port}`;
+  const request = (p, init = {}) =>
+    fetch(base + p, { ...init, signal: AbortSignal.timeout(5000) });
+  return { request };
+}
+
+function upload(bytes, headers = {}) {
+  const form = new FormData();
+  form.append('upload_preset', 'any');
+  form.append('file', new Blob([Buffer.alloc(bytes)]), 'a.bin');
+  return { method: 'POST', body: form, headers };
+}
+
+test('mock-server answers 400 to a malformed delivery path and keeps serving', async (t) => {
+  const { request } = await start(t, { host: '127.0.0.1' });
+
+  const bad = await request('/demo/image/upload/v1/%E0');
+  assert.equal(bad.status, 400);
+  assert.match(bad.headers.get('x-cld-error'), /^Bad request/);
+  await bad.arrayBuffer();
+
+  const next = await request('/demo/image/upload/v1/missing.jpg');
+  assert.equal(next.status, 404);
+  await next.arrayBuffer();
+});
+
+test('mock-server works without options (no faults)', async (t) => {
+  const { request } = await start(t);
+  const res = await request('/v1_1/demo/raw/upload', upload(1000));
+  assert.equal(res.status, 200);
+  assert.equal((await res.json()).bytes, 1000);
+});
+
+test('mock-server answers 500 when a handler throws and keeps serving', async (t) => {
+  // A broken option makes the upload handler throw before it answers
+  const { request } = await start(t, { delayMs: null });
+  const res = await request('/v1_1/demo/raw/upload', upload(10));
+  assert.equal(res.status, 500);
+  await res.arrayBuffer();
+
+  const next = await request('/demo/image/upload/v1/missing.jpg');
+  assert.equal(next.status, 404);
+  await next.arrayBuffer();
+});
+
+test('mock-server drops the parts of chunked uploads that stall', async (t) => {
+  const { request } = await start(t, { chunkTtlMs: 50 });
+  const chunk = (range) =>
+    upload(10, { 'content-range': range, 'x-unique-upload-id': 'stalled' });
+
+  const first = await request('/v1_1/demo/raw/upload', chunk('bytes 0-9/20'));
+  assert.deepEqual(await first.json(), { done: false, bytes: 10 });
+  await new Promise((resolve) => setTimeout(resolve, 200));
+
+  // The first part is gone, so the "whole" file is the last chunk only
+  const last = await request('/v1_1/demo/raw/upload', chunk('bytes 10-19/20'));
+  assert.equal(last.status, 200);
+  assert.equal((await last.json()).bytes, 10);
+});
@@ -0,0 +1,78 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  parseThrottle,
+  describeThrottle,
+  THROTTLE_PRESETS,
+} from '../src/throttle.mjs';
+
+test('parseThrottle turns off into null', () => {
+  assert.equal(parseThrottle('off'), null);
+  assert.equal(parseThrottle(undefined), null);
+  assert.equal(parseThrottle(null), null);
+});
+
+test('parseThrottle loads presets', () => {
+  for (const [name, preset] of Object.entries(THROTTLE_PRESETS))
+    assert.deepEqual(parseThrottle(name), { name, ...preset });
+});
+
+test('parseThrottle reads custom settings with units', () => {
+  assert.deepEqual(parseThrottle('up=1.5mbps,rtt=150ms,loss=1%'), {
+    name: 'up=1.5mbps,rtt=150ms,loss=1%',
+    upMbps: 1.5,
+    rttMs: 150,
+    lossPct: 1,
+  });
+  const t = parseThrottle('up=750kbps, rtt=0.2s, loss=0.02');
+  assert.equal(t.upMbps, 0.75);
+  assert.equal(t.rttMs, 200);
+  assert.equal(t.lossPct, 2);
+  assert.equal(parseThrottle('up=2').upMbps, 2);
+  assert.equal(parseThrottle('up=1gbps').upMbps, 1000);
+  assert.equal(parseThrottle('up=500000bps').upMbps, 0.5);
+  assert.equal(parseThrottle('rtt=80').rttMs, 80);
+  // Without up the uplink isn't paced
+  assert.equal(parseThrottle('rtt=80').upMbps, null);
+});
+
+test('parseThrottle applies overrides after a preset', () => {
+  assert.deepEqual(parseThrottle('lte,loss=2%'), {
+    name: 'lte,loss=2%',
+    upMbps: 5,
+    rttMs: 70,
+    lossPct: 2,
+  });
+  assert.equal(parseThrottle('3g,rtt=100ms,up=1mbps').upMbps, 1);
+});
+
+test('parseThrottle rejects bad specs', () => {
+  const cases = {
+    '5g': /unknown profile "5g"/,
+    'rtt=50,lte': /unknown profile "lte"/,
+    'down=1mbps': /unknown setting "down" \(up, rtt, loss\)/,
+    'up=0': /bad up "0"/,
+    'up=fast': /bad up "fast"/,
+    'rtt=-5ms': /bad rtt "-5ms"/,
+    'rtt=50,loss=lots': /bad loss "lots"/,
+    'rtt=50,loss=100%': /loss must be below 100%/,
+    'rtt=50,loss=1.5': /loss must be below 100%/,
+    'loss=1%': /loss needs an rtt/,
+    'up=1mbps,loss=1%': /loss needs an rtt/,
+  };
+  for (const [spec, message] of Object.entries(cases))
+    assert.throws(() => parseThrottle(spec), { message }, spec);
+  assert.throws(() => parseThrottle('5g'), /Use a profile \(slow-3g, 3g/);
+});
+
+test('describeThrottle summarises the link', () => {
+  assert.equal(describeThrottle(null), 'off');
+  assert.equal(
+    describeThrottle(parseThrottle('lte')),
+    'lte (up 5 Mb/s, rtt 70 ms, loss 0%)'
+  );
+  assert.equal(
+    describeThrottle(parseThrottle('rtt=80')),
+    'rtt=80 (up unlimited, rtt 80 ms, loss 0%)'
+  );
+});